@@ -1,6 +1,35 @@
 const express = require("express");
+const crypto = require("crypto");
 const Joi = require("joi");
+const bcrypt = require("bcrypt");
 const prisma = require("../config/prismaClient");
+const { hashToken } = require("../services/token.service");
+const { sendMail, appUrl } = require("../services/mail.service");
+const {
+  lockStoreRatings,
+  applyRatingChange,
+  countedRating,
+  recomputeStoreRatingStats,
+  ratingDistribution,
+} = require("../services/ratingStats.service");
+const {
+  storeTaxonomyFields,
+  storeTaxonomyInclude,
+  categoryExists,
+  tagsWrite,
+  formatTaxonomy,
+} = require("../services/taxonomy.service");
+const {
+  storeLocationFields,
+  resolveCoordinates,
+} = require("../services/geo.service");
+const {
+  imageFileKeys,
+  formatStoreImages,
+  storeImagesInclude,
+} = require("../services/image.service");
+const { removeFiles } = require("../services/storage.service");
+const { getOpenStatus } = require("../services/openingHours.service");
 
 // Validation schemas
 const createUserSchema = Joi.object({
@@ -25,6 +54,50 @@ const updateUserSchema = Joi.object({
   role: Joi.string().valid("ADMIN", "NORMAL_USER", "STORE_OWNER").optional(),
 });
 
+const createStoreSchema = Joi.object({
+  name: Joi.string().min(2).max(100).required(),
+  email: Joi.string().email().required(),
+  address: Joi.string().min(5).max(200).required(),
+  ownerId: Joi.number().integer().required(),
+  ...storeTaxonomyFields,
+  ...storeLocationFields,
+}).and("latitude", "longitude");
+
+const updateStoreSchema = Joi.object({
+  name: Joi.string().min(2).max(100).optional(),
+  email: Joi.string().email().optional(),
+  address: Joi.string().min(5).max(200).optional(),
+  ownerId: Joi.number().integer().optional(),
+  ...storeTaxonomyFields,
+  ...storeLocationFields,
+}).and("latitude", "longitude");
+
+const rolePolicySchema = Joi.object({
+  requireTwoFactor: Joi.boolean().required(),
+});
+
+const ROLES = ["ADMIN", "NORMAL_USER", "STORE_OWNER"];
+
+const createInvitationSchema = Joi.object({
+  email: Joi.string().email().required(),
+  role: Joi.string().valid("ADMIN", "STORE_OWNER").required(),
+  expiresInDays: Joi.number().integer().min(1).max(30).default(7),
+});
+
+// Stores can only be assigned to existing store owners or admins
+const findStoreOwner = async (ownerId) => {
+  const owner = await prisma.user.findUnique({
+    where: { id: ownerId },
+    select: { id: true, role: true },
+  });
+
+  if (!owner || owner.role === "NORMAL_USER") {
+    return null;
+  }
+
+  return owner;
+};
+
 const createUser = async (req, res) => {
   try {
     const { error, value } = createUserSchema.validate(req.body);
@@ -46,16 +119,18 @@ const createUser = async (req, res) => {
     }
 
     // Hash password
-    // const hashedPassword = await bcrypt.hash(password, 12);
+    const hashedPassword = await bcrypt.hash(password, 12);
 
     // Create user
     const user = await prisma.user.create({
       data: {
         name,
         email,
-        password,
+        password: hashedPassword,
         address,
         role,
+        // Accounts created by an admin skip email verification
+        emailVerifiedAt: new Date(),
       },
       select: {
         id: true,
@@ -90,7 +165,9 @@ const getAllStoresForAdmin = async (req, res) => {
           OR: [
             { name: { contains: search, mode: "insensitive" } },
             { address: { contains: search, mode: "insensitive" } },
-            { category: { contains: search, mode: "insensitive" } },
+            {
+              category: { name: { contains: search, mode: "insensitive" } },
+            },
           ],
         }
       : {};
@@ -99,43 +176,34 @@ const getAllStoresForAdmin = async (req, res) => {
       where,
       include: {
         owner: {
-          select: { name: true, email: true },
-        },
-        ratings: {
-          select: { rating: true },
-        },
-        _count: {
-          select: { ratings: true },
+          select: { id: true, name: true, email: true },
         },
+        ...storeTaxonomyInclude,
+        ...storeImagesInclude,
       },
       orderBy: { createdAt: "desc" },
       skip,
       take: limit,
     });
-
-    // Calculate average rating for each store
-    const storesWithAvgRating = stores.map((store) => {
-      const totalRating = store.ratings.reduce(
-        (sum, rating) => sum + rating.rating,
-        0
-      );
-      const avgRating =
-        store.ratings.length > 0 ? totalRating / store.ratings.length : 0;
-
-      return {
-        id: store.id,
-        name: store.name,
-        email: store.email,
-        address: store.address,
-        phone: store.phone,
-        description: store.description,
-        category: store.category,
-        owner: store.owner,
-        averageRating: parseFloat(avgRating.toFixed(1)),
-        totalRatings: store._count.ratings,
-        createdAt: store.createdAt,
-      };
-    });
+    const openStatus = await getOpenStatus(stores.map((store) => store.id));
+
+    const storesWithAvgRating = stores.map((store) => ({
+      id: store.id,
+      name: store.name,
+      email: store.email,
+      address: store.address,
+      latitude: store.latitude,
+      longitude: store.longitude,
+      ownerId: store.ownerId,
+      owner: store.owner,
+      ...formatTaxonomy(store),
+      ...formatStoreImages(store.images),
+      averageRating: parseFloat(store.averageRating.toFixed(1)),
+      totalRatings: store.ratingCount,
+      ratingDistribution: ratingDistribution(store),
+      isOpen: openStatus.get(store.id) ?? null,
+      createdAt: store.createdAt,
+    }));
 
     const totalStores = await prisma.store.count({ where });
 
@@ -174,9 +242,31 @@ const deleteUserByAdmin = async (req, res) => {
         .json({ message: "You cannot delete your own account" });
     }
 
-    await prisma.user.delete({
-      where: { id: userId },
+    const ownedStoreImages = await prisma.storeImage.findMany({
+      where: { store: { ownerId: userId } },
+    });
+
+    // Remove the user's ratings and owned stores along with the account
+    await prisma.$transaction(async (tx) => {
+      const ratedStores = await tx.rating.findMany({
+        where: { userId, store: { ownerId: { not: userId } } },
+        select: { storeId: true },
+      });
+
+      await tx.rating.deleteMany({
+        where: {
+          OR: [{ userId }, { store: { ownerId: userId } }],
+        },
+      });
+      await tx.store.deleteMany({ where: { ownerId: userId } });
+      await tx.user.delete({ where: { id: userId } });
+
+      // Other stores lose this user's ratings
+      for (const { storeId } of ratedStores) {
+        await recomputeStoreRatingStats(storeId, tx);
+      }
     });
+    await removeFiles(imageFileKeys(ownedStoreImages));
 
     res.json({ message: "User deleted successfully" });
   } catch (error) {
@@ -203,6 +293,13 @@ const updateUser = async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
+    // Prevent admin from demoting themselves
+    if (userId === req.user.id && value.role && value.role !== "ADMIN") {
+      return res
+        .status(400)
+        .json({ message: "You cannot change your own role" });
+    }
+
     // Check if email is being changed and if it's already taken
     if (value.email && value.email !== existingUser.email) {
       const emailExists = await prisma.user.findUnique({
@@ -223,8 +320,7 @@ const updateUser = async (req, res) => {
         email: true,
         role: true,
         address: true,
-        phone: true,
-        updatedAt: true,
+        createdAt: true,
       },
     });
 
@@ -269,7 +365,6 @@ const getAllUsers = async (req, res) => {
         email: true,
         role: true,
         address: true,
-        phone: true,
         createdAt: true,
         _count: {
           select: {
@@ -301,10 +396,597 @@ const getAllUsers = async (req, res) => {
 };
 
 
+const getUserById = async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    if (isNaN(userId)) {
+      return res.status(400).json({ message: "Invalid user ID" });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        id: true,
+        name: true,
+        email: true,
+        role: true,
+        address: true,
+        createdAt: true,
+        stores: {
+          select: { id: true, name: true, address: true },
+        },
+        _count: {
+          select: {
+            ratings: true,
+            stores: true,
+          },
+        },
+      },
+    });
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    res.json({ user });
+  } catch (error) {
+    console.error("Get user error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+const createStoreByAdmin = async (req, res) => {
+  try {
+    const { error, value } = createStoreSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const owner = await findStoreOwner(value.ownerId);
+    if (!owner) {
+      return res
+        .status(400)
+        .json({ message: "Owner must be an existing store owner or admin" });
+    }
+
+    if (value.categoryId && !(await categoryExists(value.categoryId))) {
+      return res.status(400).json({ message: "Category not found" });
+    }
+
+    const { tags, ...fields } = value;
+    const store = await prisma.store.create({
+      data: {
+        ...fields,
+        tags: tags ? await tagsWrite(tags) : undefined,
+        ...(await resolveCoordinates(value)),
+      },
+      include: {
+        owner: { select: { id: true, name: true, email: true } },
+        ...storeTaxonomyInclude,
+      },
+    });
+
+    res.status(201).json({
+      message: "Store created successfully",
+      store,
+    });
+  } catch (error) {
+    console.error("Create store error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+const updateStoreByAdmin = async (req, res) => {
+  try {
+    const storeId = parseInt(req.params.id);
+    if (isNaN(storeId)) {
+      return res.status(400).json({ message: "Invalid store ID" });
+    }
+
+    const { error, value } = updateStoreSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const existingStore = await prisma.store.findUnique({
+      where: { id: storeId },
+    });
+    if (!existingStore) {
+      return res.status(404).json({ message: "Store not found" });
+    }
+
+    if (value.ownerId && value.ownerId !== existingStore.ownerId) {
+      const owner = await findStoreOwner(value.ownerId);
+      if (!owner) {
+        return res
+          .status(400)
+          .json({ message: "Owner must be an existing store owner or admin" });
+      }
+    }
+
+    if (value.categoryId && !(await categoryExists(value.categoryId))) {
+      return res.status(400).json({ message: "Category not found" });
+    }
+
+    const { tags, ...fields } = value;
+    const updatedStore = await prisma.store.update({
+      where: { id: storeId },
+      data: {
+        ...fields,
+        tags: tags ? await tagsWrite(tags, { replace: true }) : undefined,
+        ...(await resolveCoordinates(value, existingStore.address)),
+      },
+      include: {
+        owner: { select: { id: true, name: true, email: true } },
+        ...storeTaxonomyInclude,
+      },
+    });
+
+    res.json({
+      message: "Store updated successfully",
+      store: updatedStore,
+    });
+  } catch (error) {
+    console.error("Update store error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+const deleteStoreByAdmin = async (req, res) => {
+  try {
+    const storeId = parseInt(req.params.id);
+    if (isNaN(storeId)) {
+      return res.status(400).json({ message: "Invalid store ID" });
+    }
+
+    const existingStore = await prisma.store.findUnique({
+      where: { id: storeId },
+      include: storeImagesInclude,
+    });
+    if (!existingStore) {
+      return res.status(404).json({ message: "Store not found" });
+    }
+
+    await prisma.$transaction([
+      prisma.rating.deleteMany({ where: { storeId } }),
+      prisma.store.delete({ where: { id: storeId } }),
+    ]);
+    await removeFiles(imageFileKeys(existingStore.images));
+
+    res.json({ message: "Store deleted successfully" });
+  } catch (error) {
+    console.error("Delete store error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+const getAllRatingsForAdmin = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+    const storeId = parseInt(req.query.storeId);
+    const userId = parseInt(req.query.userId);
+    const status = ["VISIBLE", "HIDDEN", "PENDING"].includes(req.query.status)
+      ? req.query.status
+      : null;
+
+    const where = {
+      AND: [
+        !isNaN(storeId) ? { storeId } : {},
+        !isNaN(userId) ? { userId } : {},
+        status ? { status } : {},
+      ],
+    };
+
+    const ratings = await prisma.rating.findMany({
+      where,
+      include: {
+        store: {
+          select: { id: true, name: true },
+        },
+        user: {
+          select: { id: true, name: true, email: true },
+        },
+      },
+      orderBy: { createdAt: "desc" },
+      skip,
+      take: limit,
+    });
+
+    const totalRatings = await prisma.rating.count({ where });
+
+    res.json({
+      ratings,
+      pagination: {
+        page,
+        limit,
+        total: totalRatings,
+        pages: Math.ceil(totalRatings / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Get admin ratings error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+const deleteRatingByAdmin = async (req, res) => {
+  try {
+    const ratingId = parseInt(req.params.id);
+    if (isNaN(ratingId)) {
+      return res.status(400).json({ message: "Invalid rating ID" });
+    }
+
+    const existingRating = await prisma.rating.findUnique({
+      where: { id: ratingId },
+    });
+    if (!existingRating) {
+      return res.status(404).json({ message: "Rating not found" });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await lockStoreRatings(tx, existingRating.storeId);
+
+      const deletedRating = await tx.rating.delete({
+        where: { id: ratingId },
+      });
+
+      await applyRatingChange(
+        tx,
+        deletedRating.storeId,
+        countedRating(deletedRating),
+        null
+      );
+    });
+
+    res.json({ message: "Rating deleted successfully" });
+  } catch (error) {
+    console.error("Delete rating error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+const getRolePolicies = async (req, res) => {
+  try {
+    const policies = await prisma.rolePolicy.findMany();
+
+    // Roles without a stored policy use the defaults
+    res.json({
+      policies: ROLES.map(
+        (role) =>
+          policies.find((policy) => policy.role === role) || {
+            role,
+            requireTwoFactor: false,
+          }
+      ),
+    });
+  } catch (error) {
+    console.error("Get role policies error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+const updateRolePolicy = async (req, res) => {
+  try {
+    const { role } = req.params;
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ message: "Invalid role" });
+    }
+
+    const { error, value } = rolePolicySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const policy = await prisma.rolePolicy.upsert({
+      where: { role },
+      update: value,
+      create: { role, ...value },
+    });
+
+    res.json({
+      message: "Role policy updated successfully",
+      policy,
+    });
+  } catch (error) {
+    console.error("Update role policy error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+const unlockUser = async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    if (isNaN(userId)) {
+      return res.status(400).json({ message: "Invalid user ID" });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+    });
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    await prisma.$transaction([
+      prisma.loginThrottle.deleteMany({
+        where: { key: `account:${user.email.toLowerCase()}` },
+      }),
+      prisma.lockoutEvent.updateMany({
+        where: {
+          scope: "ACCOUNT",
+          email: user.email.toLowerCase(),
+          unlockedAt: null,
+          lockedUntil: { gt: new Date() },
+        },
+        data: { unlockedAt: new Date(), unlockedById: req.user.id },
+      }),
+    ]);
+
+    res.json({ message: "User unlocked successfully" });
+  } catch (error) {
+    console.error("Unlock user error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+const getLockoutEvents = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+    const scope = ["ACCOUNT", "IP"].includes(req.query.scope)
+      ? req.query.scope
+      : "";
+    const search = req.query.search || "";
+
+    const where = {
+      AND: [
+        scope ? { scope } : {},
+        search
+          ? {
+              OR: [
+                { email: { contains: search, mode: "insensitive" } },
+                { ipAddress: { contains: search } },
+              ],
+            }
+          : {},
+      ],
+    };
+
+    const events = await prisma.lockoutEvent.findMany({
+      where,
+      include: {
+        user: {
+          select: { id: true, name: true, email: true },
+        },
+        unlockedBy: {
+          select: { id: true, name: true },
+        },
+      },
+      orderBy: { createdAt: "desc" },
+      skip,
+      take: limit,
+    });
+
+    const totalEvents = await prisma.lockoutEvent.count({ where });
+
+    res.json({
+      events,
+      pagination: {
+        page,
+        limit,
+        total: totalEvents,
+        pages: Math.ceil(totalEvents / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Get lockout events error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+const createInvitation = async (req, res) => {
+  try {
+    const { error, value } = createInvitationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const { email, role, expiresInDays } = value;
+
+    const existingUser = await prisma.user.findUnique({
+      where: { email },
+    });
+    if (existingUser) {
+      return res
+        .status(400)
+        .json({ message: "User already exists with this email" });
+    }
+
+    const inviteToken = crypto.randomBytes(32).toString("hex");
+
+    // A new invitation replaces any pending one for the same email
+    const [, invitation] = await prisma.$transaction([
+      prisma.invitation.updateMany({
+        where: {
+          email: { equals: email, mode: "insensitive" },
+          acceptedAt: null,
+          revokedAt: null,
+        },
+        data: { revokedAt: new Date() },
+      }),
+      prisma.invitation.create({
+        data: {
+          email,
+          role,
+          tokenHash: hashToken(inviteToken),
+          invitedById: req.user.id,
+          expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+        },
+        select: {
+          id: true,
+          email: true,
+          role: true,
+          expiresAt: true,
+          createdAt: true,
+        },
+      }),
+    ]);
+
+    await sendMail({
+      to: email,
+      subject: "You have been invited to RateMyStore",
+      text:
+        `${req.user.name} has invited you to join RateMyStore ` +
+        `as ${role === "ADMIN" ? "an admin" : "a store owner"}.\n\n` +
+        `Create your account using the link below. ` +
+        `It expires in ${expiresInDays} days.\n\n` +
+        `${appUrl("/accept-invite", { token: inviteToken, email })}`,
+    });
+
+    res.status(201).json({
+      message: "Invitation sent successfully",
+      invitation,
+    });
+  } catch (error) {
+    console.error("Create invitation error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+const getInvitations = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+    const status = req.query.status || "pending";
+    const now = new Date();
+
+    const statusFilters = {
+      pending: { acceptedAt: null, revokedAt: null, expiresAt: { gt: now } },
+      accepted: { acceptedAt: { not: null } },
+      revoked: { revokedAt: { not: null } },
+      expired: { acceptedAt: null, revokedAt: null, expiresAt: { lte: now } },
+      all: {},
+    };
+
+    if (!statusFilters[status]) {
+      return res.status(400).json({ message: "Invalid invitation status" });
+    }
+
+    const where = statusFilters[status];
+
+    const invitations = await prisma.invitation.findMany({
+      where,
+      select: {
+        id: true,
+        email: true,
+        role: true,
+        expiresAt: true,
+        acceptedAt: true,
+        revokedAt: true,
+        createdAt: true,
+        invitedBy: {
+          select: { id: true, name: true },
+        },
+        acceptedUser: {
+          select: { id: true, name: true },
+        },
+      },
+      orderBy: { createdAt: "desc" },
+      skip,
+      take: limit,
+    });
+
+    const totalInvitations = await prisma.invitation.count({ where });
+
+    res.json({
+      invitations,
+      pagination: {
+        page,
+        limit,
+        total: totalInvitations,
+        pages: Math.ceil(totalInvitations / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Get invitations error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+const revokeInvitation = async (req, res) => {
+  try {
+    const invitationId = parseInt(req.params.id);
+    if (isNaN(invitationId)) {
+      return res.status(400).json({ message: "Invalid invitation ID" });
+    }
+
+    const invitation = await prisma.invitation.findUnique({
+      where: { id: invitationId },
+    });
+    if (!invitation) {
+      return res.status(404).json({ message: "Invitation not found" });
+    }
+
+    if (invitation.acceptedAt || invitation.revokedAt) {
+      return res
+        .status(400)
+        .json({ message: "Invitation is no longer pending" });
+    }
+
+    await prisma.invitation.update({
+      where: { id: invitationId },
+      data: { revokedAt: new Date() },
+    });
+
+    res.json({ message: "Invitation revoked successfully" });
+  } catch (error) {
+    console.error("Revoke invitation error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Rebuild Store rating aggregates from the Rating table to repair drift
+const recomputeRatingStats = async (req, res) => {
+  try {
+    const storeId = req.query.storeId ? parseInt(req.query.storeId) : null;
+    if (Number.isNaN(storeId)) {
+      return res.status(400).json({ message: "Invalid store ID" });
+    }
+
+    const correctedStores = await recomputeStoreRatingStats(storeId);
+
+    res.json({
+      message: "Rating aggregates recomputed successfully",
+      correctedStores,
+    });
+  } catch (error) {
+    console.error("Recompute rating stats error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
 module.exports = {
   createUser,
   getAllStoresForAdmin,
   deleteUserByAdmin,
   updateUser,
   getAllUsers,
-};
\ No newline at end of file
+  getUserById,
+  createStoreByAdmin,
+  updateStoreByAdmin,
+  deleteStoreByAdmin,
+  getAllRatingsForAdmin,
+  deleteRatingByAdmin,
+  getRolePolicies,
+  updateRolePolicy,
+  unlockUser,
+  getLockoutEvents,
+  createInvitation,
+  getInvitations,
+  revokeInvitation,
+  recomputeRatingStats,
+};
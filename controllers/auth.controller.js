@@ -1,27 +1,60 @@
-const { PrismaClient } = require("@prisma/client");
-const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
 const prisma = require("../config/prismaClient");
 const bcrypt = require("bcrypt");
 const Joi = require("joi");
+const { sendMail, appUrl } = require("../services/mail.service");
+const {
+  getLoginWait,
+  tooManyAttempts,
+  recordLoginFailure,
+  clearLoginFailures,
+} = require("../middleware/rateLimit");
+const {
+  generateSecret,
+  matchTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  verifyTwoFactorCode,
+  isTwoFactorRequired,
+} = require("../services/twoFactor.service");
+const {
+  hashToken,
+  getClientInfo,
+  signChallengeToken,
+  verifyChallengeToken,
+  issueAuthTokens,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+} = require("../services/token.service");
+
+const PASSWORD_RESET_TTL_MINUTES =
+  parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+const EMAIL_VERIFICATION_TTL_HOURS =
+  parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
 
 // Validation schemas
+const strongPassword = Joi.string()
+  .min(6)
+  .pattern(
+    new RegExp(
+      "^(?=.*[a-z])(?=.*[A-Z])(?=.*\\d)(?=.*[@$!%*?&])[A-Za-z\\d@$!%*?&]"
+    )
+  );
+
 const registerSchema = Joi.object({
   name: Joi.string().min(2).max(50).required(),
   email: Joi.string().email().required(),
-  password: Joi.string()
-    .min(6)
-    .pattern(
-      new RegExp(
-        "^(?=.*[a-z])(?=.*[A-Z])(?=.*\\d)(?=.*[@$!%*?&])[A-Za-z\\d@$!%*?&]"
-      )
-    )
-    .required(),
+  password: strongPassword.required(),
   address: Joi.string().max(200).optional(),
-  role: Joi.string()
-    .valid("ADMIN", "NORMAL_USER", "STORE_OWNER")
-    .default("NORMAL_USER"),
+  role: Joi.string().valid("NORMAL_USER").optional(),
+  inviteToken: Joi.string().optional(),
 });
 
+const acceptInvitationSchema = Joi.object({
+  inviteToken: Joi.string().required(),
+}).unknown(true);
+
 const loginSchema = Joi.object({
   email: Joi.string().email().required(),
   password: Joi.string().required(),
@@ -29,20 +62,93 @@ const loginSchema = Joi.object({
 
 const changePasswordSchema = Joi.object({
   currentPassword: Joi.string().required(),
-  newPassword: Joi.string()
-    .min(6)
-    .pattern(
-      new RegExp(
-        "^(?=.*[a-z])(?=.*[A-Z])(?=.*\\d)(?=.*[@$!%*?&])[A-Za-z\\d@$!%*?&]"
-      )
-    )
+  newPassword: strongPassword.required(),
+});
+
+const refreshTokenSchema = Joi.object({
+  refreshToken: Joi.string().required(),
+});
+
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string().email().required(),
+});
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().required(),
+  newPassword: strongPassword.required(),
+});
+
+const verifyEmailSchema = Joi.object({
+  token: Joi.string().required(),
+});
+
+const twoFactorLoginSchema = Joi.object({
+  challengeToken: Joi.string().required(),
+  code: Joi.string().trim().max(20).required(),
+});
+
+const twoFactorSetupSchema = Joi.object({
+  challengeToken: Joi.string().optional(),
+});
+
+const twoFactorConfirmSchema = Joi.object({
+  challengeToken: Joi.string().optional(),
+  code: Joi.string()
+    .pattern(/^\d{6}$/)
     .required(),
 });
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || "7d",
+const twoFactorDisableSchema = Joi.object({
+  password: Joi.string().required(),
+  code: Joi.string().trim().max(20).required(),
+});
+
+const recoveryCodesSchema = Joi.object({
+  code: Joi.string().trim().max(20).required(),
+});
+
+// Never send the password hash or 2FA secret to the client
+const sanitizeUser = (user) => {
+  const { password, twoFactorSecret, twoFactorLastStep, ...safeUser } = user;
+  return safeUser;
+};
+
+// Users whose role requires 2FA must enroll before getting a session
+const twoFactorSetupResponse = (user) => {
+  return {
+    message: "Two-factor authentication must be set up before signing in.",
+    twoFactorSetupRequired: true,
+    challengeToken: signChallengeToken(user, "2fa_setup"),
+  };
+};
+
+// Replace any pending verification token and email a fresh link
+const sendVerificationEmail = async (user) => {
+  const verificationToken = crypto.randomBytes(32).toString("hex");
+
+  await prisma.$transaction([
+    prisma.emailVerificationToken.deleteMany({
+      where: { userId: user.id, usedAt: null },
+    }),
+    prisma.emailVerificationToken.create({
+      data: {
+        userId: user.id,
+        tokenHash: hashToken(verificationToken),
+        expiresAt: new Date(
+          Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000
+        ),
+      },
+    }),
+  ]);
+
+  await sendMail({
+    to: user.email,
+    subject: "Verify your email address",
+    text:
+      `Hi ${user.name},\n\n` +
+      `Please confirm your email address using the link below. ` +
+      `It expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.\n\n` +
+      `${appUrl("/verify-email", { token: verificationToken })}`,
   });
 };
 
@@ -53,7 +159,33 @@ const registerUser = async (req, res) => {
       return res.status(400).json({ message: error.details[0].message });
     }
 
-    const { name, email, password, address, role } = value;
+    const { name, email, password, address, inviteToken } = value;
+
+    // Privileged roles only come from an admin-issued invitation
+    let invitation = null;
+    if (inviteToken) {
+      invitation = await prisma.invitation.findUnique({
+        where: { tokenHash: hashToken(inviteToken) },
+      });
+
+      if (
+        !invitation ||
+        invitation.acceptedAt ||
+        invitation.revokedAt ||
+        invitation.expiresAt < new Date()
+      ) {
+        return res
+          .status(400)
+          .json({ message: "Invalid or expired invitation." });
+      }
+
+      if (invitation.email.toLowerCase() !== email.toLowerCase()) {
+        return res
+          .status(400)
+          .json({ message: "This invitation was sent to another email." });
+      }
+    }
+
     // Check if user already exists
     const existingUser = await prisma.user.findUnique({ where: { email } });
 
@@ -65,36 +197,97 @@ const registerUser = async (req, res) => {
 
     const hashedPassword = await bcrypt.hash(password, 10);
 
-    const newUser = await prisma.user.create({
-      data: {
-        name,
-        email,
-        role,
-        password: hashedPassword,
-        address,
-      },
-      select: {
-        id: true,
-        name: true,
-        email: true,
-        role: true,
-        address: true,
-        createdAt: true,
-      },
+    const newUser = await prisma.$transaction(async (tx) => {
+      // Claim the invitation so it can only be used once
+      if (invitation) {
+        const { count } = await tx.invitation.updateMany({
+          where: { id: invitation.id, acceptedAt: null, revokedAt: null },
+          data: { acceptedAt: new Date() },
+        });
+
+        if (count === 0) {
+          return null;
+        }
+      }
+
+      const user = await tx.user.create({
+        data: {
+          name,
+          email,
+          role: invitation ? invitation.role : "NORMAL_USER",
+          password: hashedPassword,
+          address,
+          // The invitation link already proved the email address
+          emailVerifiedAt: invitation ? new Date() : null,
+        },
+        select: {
+          id: true,
+          name: true,
+          email: true,
+          role: true,
+          address: true,
+          emailVerifiedAt: true,
+          createdAt: true,
+        },
+      });
+
+      if (invitation) {
+        await tx.invitation.update({
+          where: { id: invitation.id },
+          data: { acceptedUserId: user.id },
+        });
+      }
+
+      return user;
     });
 
-    // Generate token
-    const token = generateToken(user.id);
+    if (!newUser) {
+      return res
+        .status(400)
+        .json({ message: "Invalid or expired invitation." });
+    }
+
+    if (!newUser.emailVerifiedAt) {
+      await sendVerificationEmail(newUser);
+    }
+
+    if (await isTwoFactorRequired(newUser.role)) {
+      return res.status(201).json({
+        ...twoFactorSetupResponse(newUser),
+        newUser,
+      });
+    }
+
+    // Generate tokens
+    const { token, refreshToken } = await issueAuthTokens(
+      newUser,
+      getClientInfo(req)
+    );
 
-    return res
-      .status(201)
-      .json({ message: "User created successfully.", newUser, token });
+    return res.status(201).json({
+      message: newUser.emailVerifiedAt
+        ? "User created successfully."
+        : "User created successfully. Please verify your email.",
+      newUser,
+      token,
+      refreshToken,
+    });
   } catch (error) {
     console.error("Error creating user:", error);
     res.status(500).json({ message: "Server error creating user." });
   }
 };
 
+// Accepting an invitation is a registration that must carry its token
+const acceptInvitation = async (req, res) => {
+  const { error } = acceptInvitationSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  return registerUser(req, res);
+};
+
 const loginUser = async (req, res) => {
   try {
     const { error, value } = loginSchema.validate(req.body);
@@ -110,27 +303,43 @@ const loginUser = async (req, res) => {
     });
 
     if (!user) {
+      await recordLoginFailure(req, email);
       return res.status(400).json({ message: "Invalid email or password." });
     }
 
     // Compare password
-    // const isPasswordValid = await bcrypt.compare(password, user.password);
-    // if (!isPasswordValid) {
-    //   return res.status(400).json({ message: "Invalid email or password." });
-    // }
-
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user.id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: "2d" }
+    const isPasswordValid = await bcrypt.compare(password, user.password);
+    if (!isPasswordValid) {
+      await recordLoginFailure(req, email, user);
+      return res.status(400).json({ message: "Invalid email or password." });
+    }
+
+    // With 2FA on, the code is exchanged for tokens at /login/2fa
+    if (user.twoFactorEnabledAt) {
+      return res.status(200).json({
+        message: "Two-factor authentication required.",
+        twoFactorRequired: true,
+        challengeToken: signChallengeToken(user, "2fa_login"),
+      });
+    }
+
+    if (await isTwoFactorRequired(user.role)) {
+      return res.status(200).json(twoFactorSetupResponse(user));
+    }
+
+    await clearLoginFailures(email);
+
+    // Generate tokens
+    const { token, refreshToken } = await issueAuthTokens(
+      user,
+      getClientInfo(req)
     );
-    const { password: _, ...userWithoutPassword } = user;
 
     res.status(200).json({
       message: "Login successful.",
       token,
-      user: userWithoutPassword,
+      refreshToken,
+      user: sanitizeUser(user),
     });
   } catch (error) {
     console.error("Login error:", error);
@@ -138,6 +347,97 @@ const loginUser = async (req, res) => {
   }
 };
 
+// Second login step: exchange the challenge token and a TOTP or recovery
+// code for a session
+const loginWithTwoFactor = async (req, res) => {
+  try {
+    const { error, value } = twoFactorLoginSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const challenge = verifyChallengeToken(value.challengeToken, "2fa_login");
+    if (!challenge) {
+      return res
+        .status(401)
+        .json({ message: "Invalid or expired challenge token." });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: challenge.id },
+    });
+
+    if (!user || !user.twoFactorEnabledAt) {
+      return res
+        .status(401)
+        .json({ message: "Invalid or expired challenge token." });
+    }
+
+    // Code guesses count against the same lockout as passwords
+    const wait = await getLoginWait(user.email, req.ip);
+    if (wait > 0) {
+      return tooManyAttempts(res, wait);
+    }
+
+    const isCodeValid = await verifyTwoFactorCode(user, value.code);
+    if (!isCodeValid) {
+      await recordLoginFailure(req, user.email, user);
+      return res.status(400).json({ message: "Invalid authentication code." });
+    }
+
+    await clearLoginFailures(user.email);
+
+    const { token, refreshToken } = await issueAuthTokens(
+      user,
+      getClientInfo(req)
+    );
+
+    res.status(200).json({
+      message: "Login successful.",
+      token,
+      refreshToken,
+      user: sanitizeUser(user),
+    });
+  } catch (error) {
+    console.error("2FA login error:", error);
+    res.status(500).json({ message: "Server error during login." });
+  }
+};
+
+const refreshAccessToken = async (req, res) => {
+  try {
+    const { error, value } = refreshTokenSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const tokens = await rotateRefreshToken(value.refreshToken);
+    if (!tokens) {
+      return res.status(401).json({ message: "Invalid refresh token." });
+    }
+
+    res.json({
+      message: "Token refreshed successfully.",
+      token: tokens.token,
+      refreshToken: tokens.refreshToken,
+    });
+  } catch (error) {
+    console.error("Refresh token error:", error);
+    res.status(500).json({ message: "Server error refreshing token." });
+  }
+};
+
+const logoutUser = async (req, res) => {
+  try {
+    await revokeSession(req.sessionId);
+
+    res.json({ message: "Logged out successfully." });
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json({ message: "Server error during logout." });
+  }
+};
+
 const currentUser = async (req, res) => {
   try {
     const user = await prisma.user.findUnique({
@@ -195,6 +495,10 @@ const changePassword = async (req, res) => {
       where: { id: req.user.id },
       data: { password: hashedNewPassword },
     });
+
+    // Sign out every device, including this one
+    await revokeUserSessions(req.user.id);
+
     res.json({ message: "Password changed successfully" });
   } catch (error) {
     console.error("Change password error:", error);
@@ -202,4 +506,358 @@ const changePassword = async (req, res) => {
   }
 };
 
-module.exports = { registerUser, loginUser, currentUser, changePassword };
+const forgotPassword = async (req, res) => {
+  try {
+    const { error, value } = forgotPasswordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { email: value.email },
+    });
+
+    // Same response whether or not the email is registered
+    const response = {
+      message: "If that email is registered, a reset link has been sent.",
+    };
+
+    if (!user) {
+      return res.json(response);
+    }
+
+    const resetToken = crypto.randomBytes(32).toString("hex");
+
+    // Only the most recent reset link stays valid
+    await prisma.$transaction([
+      prisma.passwordResetToken.deleteMany({
+        where: { userId: user.id, usedAt: null },
+      }),
+      prisma.passwordResetToken.create({
+        data: {
+          userId: user.id,
+          tokenHash: hashToken(resetToken),
+          expiresAt: new Date(
+            Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000
+          ),
+        },
+      }),
+    ]);
+
+    await sendMail({
+      to: user.email,
+      subject: "Reset your password",
+      text:
+        `Hi ${user.name},\n\n` +
+        `Use the link below to reset your password. ` +
+        `It expires in ${PASSWORD_RESET_TTL_MINUTES} minutes.\n\n` +
+        `${appUrl("/reset-password", { token: resetToken })}\n\n` +
+        `If you did not request this, you can ignore this email.`,
+    });
+
+    res.json(response);
+  } catch (error) {
+    console.error("Forgot password error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+const resetPassword = async (req, res) => {
+  try {
+    const { error, value } = resetPasswordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const { token, newPassword } = value;
+
+    const resetToken = await prisma.passwordResetToken.findUnique({
+      where: { tokenHash: hashToken(token) },
+    });
+
+    if (!resetToken || resetToken.usedAt || resetToken.expiresAt < new Date()) {
+      return res
+        .status(400)
+        .json({ message: "Invalid or expired reset token" });
+    }
+
+    const hashedNewPassword = await bcrypt.hash(newPassword, 12);
+
+    const used = await prisma.$transaction(async (tx) => {
+      // Claim the token so it can only be used once
+      const { count } = await tx.passwordResetToken.updateMany({
+        where: { id: resetToken.id, usedAt: null },
+        data: { usedAt: new Date() },
+      });
+
+      if (count === 0) {
+        return false;
+      }
+
+      await tx.user.update({
+        where: { id: resetToken.userId },
+        data: { password: hashedNewPassword },
+      });
+
+      return true;
+    });
+
+    if (!used) {
+      return res
+        .status(400)
+        .json({ message: "Invalid or expired reset token" });
+    }
+
+    // Sign out every device using the old password
+    await revokeUserSessions(resetToken.userId);
+
+    res.json({ message: "Password reset successfully" });
+  } catch (error) {
+    console.error("Reset password error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+const verifyEmail = async (req, res) => {
+  try {
+    const { error, value } = verifyEmailSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const verificationToken = await prisma.emailVerificationToken.findUnique({
+      where: { tokenHash: hashToken(value.token) },
+    });
+
+    if (
+      !verificationToken ||
+      verificationToken.usedAt ||
+      verificationToken.expiresAt < new Date()
+    ) {
+      return res
+        .status(400)
+        .json({ message: "Invalid or expired verification token" });
+    }
+
+    await prisma.$transaction([
+      prisma.emailVerificationToken.update({
+        where: { id: verificationToken.id },
+        data: { usedAt: new Date() },
+      }),
+      prisma.user.update({
+        where: { id: verificationToken.userId },
+        data: { emailVerifiedAt: new Date() },
+      }),
+    ]);
+
+    res.json({ message: "Email verified successfully" });
+  } catch (error) {
+    console.error("Verify email error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+const resendVerificationEmail = async (req, res) => {
+  try {
+    if (req.user.emailVerifiedAt) {
+      return res.status(400).json({ message: "Email is already verified" });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.json({ message: "Verification email sent" });
+  } catch (error) {
+    console.error("Resend verification error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Start enrollment: store a pending secret and return its otpauth URI
+const setupTwoFactor = async (req, res) => {
+  try {
+    const { error } = twoFactorSetupSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+    });
+
+    if (user.twoFactorEnabledAt) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    const secret = generateSecret();
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { twoFactorSecret: secret, twoFactorLastStep: null },
+    });
+
+    res.json({
+      secret,
+      otpauthUri: buildOtpauthUri(secret, user.email),
+    });
+  } catch (error) {
+    console.error("2FA setup error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Finish enrollment with a first code and hand out the recovery codes
+const confirmTwoFactor = async (req, res) => {
+  try {
+    const { error, value } = twoFactorConfirmSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+    });
+
+    if (user.twoFactorEnabledAt) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    if (!user.twoFactorSecret) {
+      return res.status(400).json({ message: "Start two-factor setup first" });
+    }
+
+    const step = matchTotp(user.twoFactorSecret, value.code, null);
+    if (step === null) {
+      return res.status(400).json({ message: "Invalid authentication code" });
+    }
+
+    const recoveryCodes = await prisma.$transaction(async (tx) => {
+      await tx.user.update({
+        where: { id: user.id },
+        data: { twoFactorEnabledAt: new Date(), twoFactorLastStep: step },
+      });
+
+      return generateRecoveryCodes(user.id, tx);
+    });
+
+    const response = {
+      message: "Two-factor authentication enabled",
+      recoveryCodes,
+    };
+
+    // Enrollment forced at login finishes by signing the user in
+    if (req.twoFactorSetupChallenge) {
+      const tokens = await issueAuthTokens(user, getClientInfo(req));
+      Object.assign(response, tokens, { user: sanitizeUser(user) });
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error("2FA confirm error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { error, value } = twoFactorDisableSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+    });
+
+    if (!user.twoFactorEnabledAt) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is not enabled" });
+    }
+
+    if (await isTwoFactorRequired(user.role)) {
+      return res.status(403).json({
+        message: "Two-factor authentication is required for your role",
+      });
+    }
+
+    const isPasswordValid = await bcrypt.compare(value.password, user.password);
+    const isCodeValid =
+      isPasswordValid && (await verifyTwoFactorCode(user, value.code));
+    if (!isCodeValid) {
+      return res
+        .status(400)
+        .json({ message: "Invalid password or authentication code" });
+    }
+
+    await prisma.$transaction([
+      prisma.twoFactorRecoveryCode.deleteMany({ where: { userId: user.id } }),
+      prisma.user.update({
+        where: { id: user.id },
+        data: {
+          twoFactorSecret: null,
+          twoFactorEnabledAt: null,
+          twoFactorLastStep: null,
+        },
+      }),
+    ]);
+
+    res.json({ message: "Two-factor authentication disabled" });
+  } catch (error) {
+    console.error("2FA disable error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { error, value } = recoveryCodesSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+    });
+
+    if (!user.twoFactorEnabledAt) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is not enabled" });
+    }
+
+    const isCodeValid = await verifyTwoFactorCode(user, value.code);
+    if (!isCodeValid) {
+      return res.status(400).json({ message: "Invalid authentication code" });
+    }
+
+    const recoveryCodes = await generateRecoveryCodes(user.id);
+
+    res.json({ message: "Recovery codes regenerated", recoveryCodes });
+  } catch (error) {
+    console.error("Regenerate recovery codes error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+module.exports = {
+  registerUser,
+  acceptInvitation,
+  loginUser,
+  loginWithTwoFactor,
+  refreshAccessToken,
+  logoutUser,
+  currentUser,
+  changePassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+};
@@ -0,0 +1,239 @@
+const Joi = require("joi");
+const prisma = require("../config/prismaClient");
+const { slugify } = require("../services/taxonomy.service");
+
+// Validation schemas
+const createCategorySchema = Joi.object({
+  name: Joi.string().trim().min(2).max(50).required(),
+  description: Joi.string().max(500).optional(),
+});
+
+const updateCategorySchema = Joi.object({
+  name: Joi.string().trim().min(2).max(50).optional(),
+  description: Joi.string().max(500).allow(null).optional(),
+}).min(1);
+
+const leaderboardSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(50).default(10),
+  // Stores with fewer ratings are left off the board
+  minRatings: Joi.number().integer().min(1).default(1),
+}).unknown(true);
+
+// Returns true when another category already uses the name or its slug
+const isCategoryTaken = async (name, excludeId = null) => {
+  const existing = await prisma.category.findFirst({
+    where: {
+      OR: [
+        { name: { equals: name, mode: "insensitive" } },
+        { slug: slugify(name) },
+      ],
+      ...(excludeId ? { id: { not: excludeId } } : {}),
+    },
+    select: { id: true },
+  });
+  return Boolean(existing);
+};
+
+// All categories with store counts and the average over all their ratings
+const getCategories = async (req, res) => {
+  try {
+    const categories = await prisma.category.findMany({
+      orderBy: { name: "asc" },
+    });
+
+    const stats = await prisma.store.groupBy({
+      by: ["categoryId"],
+      where: { categoryId: { not: null } },
+      _count: { _all: true },
+      _sum: { ratingSum: true, ratingCount: true },
+    });
+    const statsByCategory = new Map(
+      stats.map((row) => [row.categoryId, row])
+    );
+
+    const categoriesWithStats = categories.map((category) => {
+      const row = statsByCategory.get(category.id);
+      const ratingSum = row?._sum.ratingSum || 0;
+      const ratingCount = row?._sum.ratingCount || 0;
+
+      return {
+        id: category.id,
+        name: category.name,
+        slug: category.slug,
+        description: category.description,
+        storeCount: row?._count._all || 0,
+        averageRating:
+          ratingCount > 0
+            ? parseFloat((ratingSum / ratingCount).toFixed(1))
+            : 0,
+        totalRatings: ratingCount,
+      };
+    });
+
+    res.json({ categories: categoriesWithStats });
+  } catch (error) {
+    console.error("Get categories error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Highest rated stores within one category
+const getCategoryLeaderboard = async (req, res) => {
+  try {
+    const { error, value } = leaderboardSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const category = await prisma.category.findUnique({
+      where: { slug: req.params.slug },
+    });
+    if (!category) {
+      return res.status(404).json({ message: "Category not found" });
+    }
+
+    const stores = await prisma.store.findMany({
+      where: {
+        categoryId: category.id,
+        ratingCount: { gte: value.minRatings },
+      },
+      orderBy: [
+        { averageRating: "desc" },
+        { ratingCount: "desc" },
+        { id: "asc" },
+      ],
+      take: value.limit,
+    });
+
+    res.json({
+      category: {
+        id: category.id,
+        name: category.name,
+        slug: category.slug,
+      },
+      stores: stores.map((store, index) => ({
+        rank: index + 1,
+        id: store.id,
+        name: store.name,
+        address: store.address,
+        averageRating: parseFloat(store.averageRating.toFixed(1)),
+        totalRatings: store.ratingCount,
+      })),
+    });
+  } catch (error) {
+    console.error("Get category leaderboard error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+const createCategory = async (req, res) => {
+  try {
+    const { error, value } = createCategorySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const slug = slugify(value.name);
+    if (!slug) {
+      return res
+        .status(400)
+        .json({ message: "Category name must contain letters or digits" });
+    }
+
+    if (await isCategoryTaken(value.name)) {
+      return res.status(400).json({ message: "Category already exists" });
+    }
+
+    const category = await prisma.category.create({
+      data: { ...value, slug },
+    });
+
+    res.status(201).json({
+      message: "Category created successfully",
+      category,
+    });
+  } catch (error) {
+    console.error("Create category error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+const updateCategory = async (req, res) => {
+  try {
+    const categoryId = parseInt(req.params.id);
+    if (isNaN(categoryId)) {
+      return res.status(400).json({ message: "Invalid category ID" });
+    }
+
+    const { error, value } = updateCategorySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const existingCategory = await prisma.category.findUnique({
+      where: { id: categoryId },
+    });
+    if (!existingCategory) {
+      return res.status(404).json({ message: "Category not found" });
+    }
+
+    const data = { ...value };
+    if (value.name) {
+      data.slug = slugify(value.name);
+      if (!data.slug) {
+        return res
+          .status(400)
+          .json({ message: "Category name must contain letters or digits" });
+      }
+
+      if (await isCategoryTaken(value.name, categoryId)) {
+        return res.status(400).json({ message: "Category already exists" });
+      }
+    }
+
+    const category = await prisma.category.update({
+      where: { id: categoryId },
+      data,
+    });
+
+    res.json({
+      message: "Category updated successfully",
+      category,
+    });
+  } catch (error) {
+    console.error("Update category error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Stores in a deleted category are left uncategorized
+const deleteCategory = async (req, res) => {
+  try {
+    const categoryId = parseInt(req.params.id);
+    if (isNaN(categoryId)) {
+      return res.status(400).json({ message: "Invalid category ID" });
+    }
+
+    const existingCategory = await prisma.category.findUnique({
+      where: { id: categoryId },
+    });
+    if (!existingCategory) {
+      return res.status(404).json({ message: "Category not found" });
+    }
+
+    await prisma.category.delete({ where: { id: categoryId } });
+
+    res.json({ message: "Category deleted successfully" });
+  } catch (error) {
+    console.error("Delete category error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+module.exports = {
+  getCategories,
+  getCategoryLeaderboard,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+};
@@ -0,0 +1,336 @@
+const Joi = require("joi");
+const prisma = require("../config/prismaClient");
+const {
+  REPORT_REASONS,
+  isUniqueViolation,
+  reviewRating,
+} = require("../services/moderation.service");
+const { notify } = require("../services/notification.service");
+
+// Validation schemas
+const fileDisputeSchema = Joi.object({
+  reason: Joi.string()
+    .valid(...REPORT_REASONS)
+    .required(),
+  evidence: Joi.string().trim().min(10).max(5000).required(),
+});
+
+const resolveDisputeSchema = Joi.object({
+  note: Joi.string().trim().max(2000).allow("").optional(),
+});
+
+const disputeListSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  status: Joi.string().valid("OPEN", "ACCEPTED", "REJECTED").optional(),
+}).unknown(true);
+
+// Relations returned with a dispute in lists
+const disputeInclude = {
+  rating: {
+    select: {
+      id: true,
+      rating: true,
+      title: true,
+      comment: true,
+      status: true,
+      createdAt: true,
+      user: { select: { id: true, name: true } },
+      store: { select: { id: true, name: true } },
+    },
+  },
+  owner: { select: { id: true, name: true } },
+  resolvedBy: { select: { id: true, name: true } },
+};
+
+// A single dispute also carries its full timeline
+const disputeDetailInclude = {
+  ...disputeInclude,
+  events: {
+    select: {
+      id: true,
+      type: true,
+      note: true,
+      createdAt: true,
+      actor: { select: { id: true, name: true } },
+    },
+    orderBy: [{ createdAt: "asc" }, { id: "asc" }],
+  },
+};
+
+// One page of disputes in the usual list response shape
+const listDisputes = async (where, { page, limit }, sortOrder = "desc") => {
+  const disputes = await prisma.ratingDispute.findMany({
+    where,
+    include: disputeInclude,
+    orderBy: [{ createdAt: sortOrder }, { id: sortOrder }],
+    skip: (page - 1) * limit,
+    take: limit,
+  });
+  const total = await prisma.ratingDispute.count({ where });
+
+  return {
+    disputes,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  };
+};
+
+// Dispute a rating on one of the requesting owner's stores. The reviewer
+// is told their rating is under review.
+const fileDispute = async (req, res) => {
+  try {
+    const ratingId = parseInt(req.params.id);
+    if (isNaN(ratingId)) {
+      return res.status(400).json({ message: "Invalid rating ID" });
+    }
+
+    const { error, value } = fileDisputeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const rating = await prisma.rating.findUnique({
+      where: { id: ratingId },
+      include: { store: { select: { id: true, name: true, ownerId: true } } },
+    });
+    if (!rating) {
+      return res.status(404).json({ message: "Rating not found" });
+    }
+
+    if (rating.store.ownerId !== req.user.id) {
+      return res
+        .status(403)
+        .json({ message: "You can only dispute ratings on your own stores" });
+    }
+
+    if (rating.status === "HIDDEN") {
+      return res.status(400).json({ message: "This rating is already hidden" });
+    }
+
+    const dispute = await prisma.$transaction(async (tx) => {
+      const created = await tx.ratingDispute.create({
+        data: {
+          ratingId,
+          ownerId: req.user.id,
+          reason: value.reason,
+          evidence: value.evidence,
+        },
+      });
+      await tx.ratingDisputeEvent.create({
+        data: { disputeId: created.id, type: "FILED", actorId: req.user.id },
+      });
+
+      await notify(
+        rating.userId,
+        "DISPUTE_FILED",
+        {
+          title: `${rating.store.name} disputed your review`,
+          body: "An admin will review the dispute and may hide your review.",
+          data: { disputeId: created.id, ratingId, storeId: rating.store.id },
+        },
+        tx
+      );
+
+      return tx.ratingDispute.findUnique({
+        where: { id: created.id },
+        include: disputeDetailInclude,
+      });
+    });
+
+    res.status(201).json({ message: "Dispute filed successfully", dispute });
+  } catch (error) {
+    // One open dispute per rating, enforced by a partial unique index
+    if (isUniqueViolation(error)) {
+      return res
+        .status(400)
+        .json({ message: "This rating already has an open dispute" });
+    }
+    console.error("File dispute error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Disputes filed by the requesting owner, newest first
+const getMyDisputes = async (req, res) => {
+  try {
+    const { error, value } = disputeListSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const where = {
+      ownerId: req.user.id,
+      ...(value.status ? { status: value.status } : {}),
+    };
+
+    res.json(await listDisputes(where, value));
+  } catch (error) {
+    console.error("Get my disputes error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// One dispute with its timeline, for the owner who filed it, the author of
+// the disputed rating and admins
+const getDispute = async (req, res) => {
+  try {
+    const disputeId = parseInt(req.params.id);
+    if (isNaN(disputeId)) {
+      return res.status(400).json({ message: "Invalid dispute ID" });
+    }
+
+    const dispute = await prisma.ratingDispute.findUnique({
+      where: { id: disputeId },
+      include: disputeDetailInclude,
+    });
+    if (!dispute) {
+      return res.status(404).json({ message: "Dispute not found" });
+    }
+
+    if (
+      req.user.role !== "ADMIN" &&
+      dispute.ownerId !== req.user.id &&
+      dispute.rating.user.id !== req.user.id
+    ) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
+    res.json({ dispute });
+  } catch (error) {
+    console.error("Get dispute error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Admin review queue, oldest open disputes first unless a status is given
+const getDisputesForAdmin = async (req, res) => {
+  try {
+    const { error, value } = disputeListSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const status = value.status || "OPEN";
+    const sortOrder = status === "OPEN" ? "asc" : "desc";
+
+    res.json(await listDisputes({ status }, value, sortOrder));
+  } catch (error) {
+    console.error("Get admin disputes error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Close an open dispute. Accepting hides the rating as a moderation
+// decision would; both the owner and the reviewer are notified.
+const resolveDispute = (status, message) => async (req, res) => {
+  try {
+    const disputeId = parseInt(req.params.id);
+    if (isNaN(disputeId)) {
+      return res.status(400).json({ message: "Invalid dispute ID" });
+    }
+
+    const { error, value } = resolveDisputeSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const existingDispute = await prisma.ratingDispute.findUnique({
+      where: { id: disputeId },
+      include: disputeInclude,
+    });
+    if (!existingDispute) {
+      return res.status(404).json({ message: "Dispute not found" });
+    }
+
+    const note = value.note || null;
+    const accepted = status === "ACCEPTED";
+    const { rating } = existingDispute;
+
+    const dispute = await prisma.$transaction(async (tx) => {
+      // Only the first admin to act on an open dispute resolves it
+      const { count } = await tx.ratingDispute.updateMany({
+        where: { id: disputeId, status: "OPEN" },
+        data: {
+          status,
+          resolutionNote: note,
+          resolvedById: req.user.id,
+          resolvedAt: new Date(),
+        },
+      });
+      if (count === 0) {
+        return null;
+      }
+
+      await tx.ratingDisputeEvent.create({
+        data: { disputeId, type: status, actorId: req.user.id, note },
+      });
+      if (accepted) {
+        await reviewRating(tx, rating.id, rating.store.id, "HIDDEN");
+      }
+
+      const data = { disputeId, ratingId: rating.id, storeId: rating.store.id };
+      await notify(
+        existingDispute.ownerId,
+        "DISPUTE_RESOLVED",
+        {
+          title: `Your dispute was ${accepted ? "accepted" : "rejected"}`,
+          body:
+            note ||
+            (accepted
+              ? "The review has been hidden."
+              : "The review stays published."),
+          data,
+        },
+        tx
+      );
+      await notify(
+        rating.user.id,
+        "DISPUTE_RESOLVED",
+        {
+          title: accepted
+            ? `Your review of ${rating.store.name} was hidden`
+            : `A dispute on your review of ${rating.store.name} was rejected`,
+          body:
+            note ||
+            (accepted
+              ? "An admin upheld the store's dispute."
+              : "Your review stays published."),
+          data,
+        },
+        tx
+      );
+
+      return tx.ratingDispute.findUnique({
+        where: { id: disputeId },
+        include: disputeDetailInclude,
+      });
+    });
+    if (!dispute) {
+      return res
+        .status(400)
+        .json({ message: "This dispute has already been resolved" });
+    }
+
+    res.json({ message, dispute });
+  } catch (error) {
+    console.error("Resolve dispute error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+const acceptDispute = resolveDispute("ACCEPTED", "Dispute accepted");
+const rejectDispute = resolveDispute("REJECTED", "Dispute rejected");
+
+module.exports = {
+  fileDispute,
+  getMyDisputes,
+  getDispute,
+  getDisputesForAdmin,
+  acceptDispute,
+  rejectDispute,
+};
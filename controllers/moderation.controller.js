@@ -0,0 +1,133 @@
+const Joi = require("joi");
+const { Prisma } = require("@prisma/client");
+const prisma = require("../config/prismaClient");
+const { reviewRating } = require("../services/moderation.service");
+
+const moderationQueueSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  status: Joi.string().valid("VISIBLE", "HIDDEN", "PENDING").optional(),
+}).unknown(true);
+
+const unresolved = { where: { resolvedAt: null } };
+
+// Ratings waiting for review, reported by users or flagged by the fraud
+// rules, most open reports first
+const getModerationQueue = async (req, res) => {
+  try {
+    const { error, value } = moderationQueueSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const { page, limit, status } = value;
+    const skip = (page - 1) * limit;
+    const statusFilter = status
+      ? Prisma.sql`AND r."status" = ${status}::"RatingStatus"`
+      : Prisma.empty;
+    const where = Prisma.sql`(r."status" = 'PENDING'
+      OR EXISTS (
+        SELECT 1 FROM "RatingReport" AS rr
+        WHERE rr."ratingId" = r."id" AND rr."resolvedAt" IS NULL
+      )
+      OR EXISTS (
+        SELECT 1 FROM "RatingFlag" AS f
+        WHERE f."ratingId" = r."id" AND f."resolvedAt" IS NULL
+      )) ${statusFilter}`;
+
+    // Prisma can only order by the count of all reports, so the page is
+    // picked in SQL by the same open-report count that is returned
+    const rows = await prisma.$queryRaw`
+      SELECT r."id" FROM "Rating" AS r
+      WHERE ${where}
+      ORDER BY (
+          SELECT COUNT(*) FROM "RatingReport" AS rr
+          WHERE rr."ratingId" = r."id" AND rr."resolvedAt" IS NULL
+        ) DESC,
+        r."createdAt", r."id"
+      LIMIT ${limit} OFFSET ${skip}`;
+    const pageIds = rows.map((row) => row.id);
+
+    const pageRatings = await prisma.rating.findMany({
+      where: { id: { in: pageIds } },
+      include: {
+        store: { select: { id: true, name: true } },
+        user: { select: { id: true, name: true, email: true } },
+        reports: {
+          ...unresolved,
+          select: {
+            id: true,
+            reason: true,
+            details: true,
+            createdAt: true,
+            reporter: { select: { id: true, name: true } },
+          },
+          orderBy: { createdAt: "desc" },
+        },
+        flags: {
+          ...unresolved,
+          select: { id: true, rule: true, details: true, createdAt: true },
+          orderBy: { createdAt: "desc" },
+        },
+        _count: { select: { reports: unresolved } },
+      },
+    });
+    const ratings = pageIds.map((id) =>
+      pageRatings.find((rating) => rating.id === id)
+    );
+
+    const [{ count: total }] = await prisma.$queryRaw`
+      SELECT COUNT(*)::int AS "count" FROM "Rating" AS r WHERE ${where}`;
+
+    res.json({
+      ratings: ratings.map(({ _count, ...rating }) => ({
+        ...rating,
+        reportCount: _count.reports,
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Get moderation queue error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Set the rating's status and close its open reports and fraud flags
+const moderateRating = (status, message) => async (req, res) => {
+  try {
+    const ratingId = parseInt(req.params.id);
+    if (isNaN(ratingId)) {
+      return res.status(400).json({ message: "Invalid rating ID" });
+    }
+
+    const existingRating = await prisma.rating.findUnique({
+      where: { id: ratingId },
+    });
+    if (!existingRating) {
+      return res.status(404).json({ message: "Rating not found" });
+    }
+
+    const rating = await prisma.$transaction((tx) =>
+      reviewRating(tx, ratingId, existingRating.storeId, status)
+    );
+
+    res.json({ message, rating });
+  } catch (error) {
+    console.error("Moderate rating error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+const approveRating = moderateRating("VISIBLE", "Rating approved");
+const hideRating = moderateRating("HIDDEN", "Rating hidden");
+
+module.exports = {
+  getModerationQueue,
+  approveRating,
+  hideRating,
+};
@@ -0,0 +1,98 @@
+const Joi = require("joi");
+const prisma = require("../config/prismaClient");
+
+const notificationListSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  unread: Joi.boolean().optional(),
+}).unknown(true);
+
+const getNotifications = async (req, res) => {
+  try {
+    const { error, value } = notificationListSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const { page, limit } = value;
+    const skip = (page - 1) * limit;
+    const where = {
+      userId: req.user.id,
+      ...(value.unread ? { readAt: null } : {}),
+    };
+
+    const notifications = await prisma.notification.findMany({
+      where,
+      orderBy: { createdAt: "desc" },
+      skip,
+      take: limit,
+    });
+
+    const total = await prisma.notification.count({ where });
+    const unreadCount = await prisma.notification.count({
+      where: { userId: req.user.id, readAt: null },
+    });
+
+    res.json({
+      notifications,
+      unreadCount,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Get notifications error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+const markNotificationRead = async (req, res) => {
+  try {
+    const notificationId = parseInt(req.params.id);
+    if (isNaN(notificationId)) {
+      return res.status(400).json({ message: "Invalid notification ID" });
+    }
+
+    const notification = await prisma.notification.findFirst({
+      where: { id: notificationId, userId: req.user.id },
+    });
+    if (!notification) {
+      return res.status(404).json({ message: "Notification not found" });
+    }
+
+    const updatedNotification = notification.readAt
+      ? notification
+      : await prisma.notification.update({
+          where: { id: notificationId },
+          data: { readAt: new Date() },
+        });
+
+    res.json({ notification: updatedNotification });
+  } catch (error) {
+    console.error("Mark notification read error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+const markAllNotificationsRead = async (req, res) => {
+  try {
+    const { count } = await prisma.notification.updateMany({
+      where: { userId: req.user.id, readAt: null },
+      data: { readAt: new Date() },
+    });
+
+    res.json({ message: "Notifications marked as read", count });
+  } catch (error) {
+    console.error("Mark all notifications read error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+module.exports = {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+};
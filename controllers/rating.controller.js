@@ -1,17 +1,112 @@
 const Joi = require("joi");
 const prisma = require("../config/prismaClient");
 const { verifyToken } = require("../middleware/verifyToken");
+const {
+  countedRating,
+  lockStoreRatings,
+  applyRatingChange,
+} = require("../services/ratingStats.service");
+const {
+  criterionScoresSchema,
+  criterionScoresInclude,
+  resolveCriterionScores,
+  writeCriterionScores,
+} = require("../services/ratingCriteria.service");
+const { notify } = require("../services/notification.service");
+const {
+  REPORTS_BEFORE_REVIEW,
+  REPORT_REASONS,
+  isUniqueViolation,
+  changeRatingStatus,
+} = require("../services/moderation.service");
+const {
+  getDeviceId,
+  screenRatingWrite,
+} = require("../services/fraudDetection.service");
+const { getClientInfo } = require("../services/token.service");
+const {
+  ratingSnapshot,
+  recordRatingRevision,
+  withEditedMarker,
+} = require("../services/ratingHistory.service");
+const {
+  lockRatingVotes,
+  applyVoteChange,
+} = require("../services/ratingVote.service");
 
 // Validation schemas
 const createRatingSchema = Joi.object({
   storeId: Joi.number().integer().required(),
   rating: Joi.number().integer().min(1).max(5).required(),
+  title: Joi.string().trim().max(100).allow(null, "").optional(),
+  comment: Joi.string().trim().max(2000).allow(null, "").optional(),
+  criteria: criterionScoresSchema.optional(),
 });
 
 const updateRatingSchema = Joi.object({
   rating: Joi.number().integer().min(1).max(5).optional(),
+  title: Joi.string().trim().max(100).allow(null, "").optional(),
+  comment: Joi.string().trim().max(2000).allow(null, "").optional(),
+  criteria: criterionScoresSchema.optional(),
+}).min(1);
+
+const replySchema = Joi.object({
+  body: Joi.string().trim().min(1).max(2000).required(),
+});
+
+const reportSchema = Joi.object({
+  reason: Joi.string()
+    .valid(...REPORT_REASONS)
+    .required(),
+  details: Joi.string().trim().max(1000).allow("").optional(),
 });
 
+const voteSchema = Joi.object({
+  helpful: Joi.boolean().required(),
+});
+
+// Orderings for a store's ratings. "helpful" puts the most up-voted first
+// and, among equals, the least down-voted.
+const RATING_SORT_ORDERS = {
+  helpful: [
+    { helpfulCount: "desc" },
+    { notHelpfulCount: "asc" },
+    { createdAt: "desc" },
+  ],
+  recent: [{ createdAt: "desc" }],
+  highest: [{ rating: "desc" }, { createdAt: "desc" }],
+  lowest: [{ rating: "asc" }, { createdAt: "desc" }],
+};
+
+const ratingSortSchema = Joi.string()
+  .valid(...Object.keys(RATING_SORT_ORDERS))
+  .default("recent")
+  .label("sort");
+
+// Owner reply as shown with a rating
+const replyInclude = {
+  reply: {
+    select: {
+      id: true,
+      body: true,
+      createdAt: true,
+      updatedAt: true,
+      author: { select: { id: true, name: true } },
+    },
+  },
+};
+
+// Relations returned with a created or updated rating
+const ratingInclude = {
+  store: {
+    select: { name: true },
+  },
+  user: {
+    select: { name: true },
+  },
+  ...criterionScoresInclude,
+};
+
 const createRating = async (req, res) => {
   try {
     const { error, value } = createRatingSchema.validate(req.body);
@@ -19,7 +114,12 @@ const createRating = async (req, res) => {
       return res.status(400).json({ message: error.details[0].message });
     }
 
-    const { storeId, rating, comment } = value;
+    const { storeId, rating, title, comment } = value;
+
+    const criteria = await resolveCriterionScores(value.criteria || {});
+    if (criteria.error) {
+      return res.status(400).json({ message: criteria.error });
+    }
 
     // Check if store exists
     const store = await prisma.store.findUnique({
@@ -37,50 +137,69 @@ const createRating = async (req, res) => {
         .json({ message: "You cannot rate your own store" });
     }
 
-    // Check if rating already exists
-    const existingRating = await prisma.rating.findUnique({
-      where: {
-        userId_storeId: {
-          userId: req.user.id,
-          storeId: storeId,
-        },
+    const origin = {
+      ipAddress: getClientInfo(req).ipAddress,
+      deviceId: getDeviceId(req),
+    };
+    const ratingKey = {
+      userId_storeId: {
+        userId: req.user.id,
+        storeId: storeId,
       },
-    });
-
-    let ratingRecord;
-    if (existingRating) {
-      // Update existing rating
-      ratingRecord = await prisma.rating.update({
-        where: { id: existingRating.id },
-        data: { rating, comment },
-        include: {
-          store: {
-            select: { name: true },
+    };
+
+    const { ratingRecord, existingRating } = await prisma.$transaction(
+      async (tx) => {
+        await lockStoreRatings(tx, storeId);
+
+        const existingRating = await tx.rating.findUnique({
+          where: ratingKey,
+          select: { rating: true, status: true },
+        });
+        const previousContent =
+          existingRating && (await ratingSnapshot(tx, ratingKey));
+
+        // Prisma runs this as a read then a create or update. Concurrent
+        // submissions from the same user cannot both create, because the
+        // store row lock above makes them run one after the other.
+        const saved = await tx.rating.upsert({
+          where: ratingKey,
+          update: { rating, title, comment },
+          create: {
+            userId: req.user.id,
+            storeId,
+            rating,
+            title,
+            comment,
           },
-          user: {
-            select: { name: true },
-          },
-        },
-      });
-    } else {
-      // Create new rating
-      ratingRecord = await prisma.rating.create({
-        data: {
-          userId: req.user.id,
+        });
+        await writeCriterionScores(tx, saved.id, criteria.scores);
+        if (existingRating) {
+          await recordRatingRevision(
+            tx,
+            saved.id,
+            previousContent,
+            req.user.id
+          );
+        }
+
+        // Editing keeps the moderation status of an existing rating
+        await applyRatingChange(
+          tx,
           storeId,
-          rating,
-          comment,
-        },
-        include: {
-          store: {
-            select: { name: true },
-          },
-          user: {
-            select: { name: true },
-          },
-        },
-      });
-    }
+          countedRating(existingRating),
+          countedRating(saved)
+        );
+        await screenRatingWrite(tx, saved, origin);
+
+        const ratingRecord = await tx.rating.findUnique({
+          where: { id: saved.id },
+          include: ratingInclude,
+        });
+
+        return { ratingRecord, existingRating };
+      }
+    );
 
     res.status(existingRating ? 200 : 201).json({
       message: existingRating
@@ -111,6 +230,7 @@ const getUserRatingOfSpesificStore = async (req, res) => {
         store: {
           select: { name: true },
         },
+        ...criterionScoresInclude,
       },
     });
 
@@ -127,6 +247,12 @@ const getAllRating = async (req, res) => {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
+    const search = req.query.search || "";
+
+    const { error, value: sort } = ratingSortSchema.validate(req.query.sort);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
 
     // Check if store exists
     const store = await prisma.store.findUnique({
@@ -137,37 +263,53 @@ const getAllRating = async (req, res) => {
       return res.status(404).json({ message: "Store not found" });
     }
 
+    // Search the written reviews; hidden and pending ones are not public
+    const where = {
+      storeId,
+      status: "VISIBLE",
+      ...(search
+        ? {
+            OR: [
+              { title: { contains: search, mode: "insensitive" } },
+              { comment: { contains: search, mode: "insensitive" } },
+            ],
+          }
+        : {}),
+    };
+
     const ratings = await prisma.rating.findMany({
-      where: { storeId },
+      where,
       include: {
         user: {
           select: { name: true },
         },
+        ...criterionScoresInclude,
+        ...replyInclude,
+        // The requesting user's own vote, if any
+        votes: {
+          where: { userId: req.user.id },
+          select: { helpful: true },
+        },
       },
-      orderBy: { createdAt: "desc" },
+      orderBy: RATING_SORT_ORDERS[sort],
       skip,
       take: limit,
     });
 
-    const totalRatings = await prisma.rating.count({
-      where: { storeId },
-    });
-
-    // Calculate average rating
-    const avgRating = await prisma.rating.aggregate({
-      where: { storeId },
-      _avg: { rating: true },
-    });
+    const totalMatching = await prisma.rating.count({ where });
 
     res.json({
-      ratings,
-      averageRating: avgRating._avg.rating || 0,
-      totalRatings,
+      ratings: ratings.map(({ votes, ...rating }) => ({
+        ...withEditedMarker(rating),
+        myVote: votes[0]?.helpful ?? null,
+      })),
+      averageRating: store.averageRating,
+      totalRatings: store.ratingCount,
       pagination: {
         page,
         limit,
-        total: totalRatings,
-        pages: Math.ceil(totalRatings / limit),
+        total: totalMatching,
+        pages: Math.ceil(totalMatching / limit),
       },
     });
   } catch (error) {
@@ -185,6 +327,12 @@ const updateRating = async (req, res) => {
       return res.status(400).json({ message: error.details[0].message });
     }
 
+    const { criteria, ...fields } = value;
+    const criterionScores = await resolveCriterionScores(criteria || {});
+    if (criterionScores.error) {
+      return res.status(400).json({ message: criterionScores.error });
+    }
+
     // Check if rating exists and belongs to user
     const existingRating = await prisma.rating.findUnique({
       where: { id: ratingId },
@@ -200,18 +348,46 @@ const updateRating = async (req, res) => {
         .json({ message: "You can only update your own ratings" });
     }
 
-    const updatedRating = await prisma.rating.update({
-      where: { id: ratingId },
-      data: value,
-      include: {
-        store: {
-          select: { name: true },
-        },
-        user: {
-          select: { name: true },
-        },
-      },
+    const origin = {
+      ipAddress: getClientInfo(req).ipAddress,
+      deviceId: getDeviceId(req),
+    };
+    const updatedRating = await prisma.$transaction(async (tx) => {
+      await lockStoreRatings(tx, existingRating.storeId);
+
+      // Re-read under the lock so the aggregate delta is exact
+      const oldRating = await tx.rating.findUnique({
+        where: { id: ratingId },
+        select: { rating: true, status: true },
+      });
+      if (!oldRating) {
+        return null;
+      }
+      const previousContent = await ratingSnapshot(tx, { id: ratingId });
+
+      const saved = await tx.rating.update({
+        where: { id: ratingId },
+        data: fields,
+      });
+      await writeCriterionScores(tx, ratingId, criterionScores.scores);
+      await recordRatingRevision(tx, ratingId, previousContent, req.user.id);
+
+      await applyRatingChange(
+        tx,
+        saved.storeId,
+        countedRating(oldRating),
+        countedRating(saved)
+      );
+      await screenRatingWrite(tx, saved, origin);
+
+      return tx.rating.findUnique({
+        where: { id: ratingId },
+        include: ratingInclude,
+      });
     });
+    if (!updatedRating) {
+      return res.status(404).json({ message: "Rating not found" });
+    }
 
     res.json({
       message: "Rating updated successfully",
@@ -242,8 +418,19 @@ const deleteRating = async (req, res) => {
         .json({ message: "You can only delete your own ratings" });
     }
 
-    await prisma.rating.delete({
-      where: { id: ratingId },
+    await prisma.$transaction(async (tx) => {
+      await lockStoreRatings(tx, existingRating.storeId);
+
+      const deletedRating = await tx.rating.delete({
+        where: { id: ratingId },
+      });
+
+      await applyRatingChange(
+        tx,
+        deletedRating.storeId,
+        countedRating(deletedRating),
+        null
+      );
     });
 
     res.json({ message: "Rating deleted successfully" });
@@ -253,6 +440,323 @@ const deleteRating = async (req, res) => {
   }
 };
 
+// Create or edit the reply to a rating. Only the store owner or an admin
+// may reply; the rating author is notified of a new reply.
+const upsertRatingReply = async (req, res) => {
+  try {
+    const ratingId = parseInt(req.params.id);
+    if (isNaN(ratingId)) {
+      return res.status(400).json({ message: "Invalid rating ID" });
+    }
+
+    const { error, value } = replySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const rating = await prisma.rating.findUnique({
+      where: { id: ratingId },
+      include: {
+        store: { select: { id: true, name: true, ownerId: true } },
+        reply: { select: { id: true } },
+      },
+    });
+    if (!rating) {
+      return res.status(404).json({ message: "Rating not found" });
+    }
+
+    if (req.user.role !== "ADMIN" && rating.store.ownerId !== req.user.id) {
+      return res.status(403).json({
+        message: "Only the store owner or an admin can reply to this rating",
+      });
+    }
+
+    if (rating.reply) {
+      const reply = await prisma.ratingReply.update({
+        where: { ratingId },
+        data: { body: value.body },
+        select: replyInclude.reply.select,
+      });
+
+      return res.json({ message: "Reply updated successfully", reply });
+    }
+
+    const reply = await prisma.$transaction(async (tx) => {
+      const created = await tx.ratingReply.create({
+        data: { ratingId, authorId: req.user.id, body: value.body },
+        select: replyInclude.reply.select,
+      });
+
+      if (rating.userId !== req.user.id) {
+        await notify(
+          rating.userId,
+          "RATING_REPLY",
+          {
+            title: `${rating.store.name} replied to your review`,
+            body: value.body.slice(0, 200),
+            data: { ratingId, storeId: rating.store.id, replyId: created.id },
+          },
+          tx
+        );
+      }
+
+      return created;
+    });
+
+    res.status(201).json({ message: "Reply created successfully", reply });
+  } catch (error) {
+    console.error("Upsert rating reply error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+const deleteRatingReply = async (req, res) => {
+  try {
+    const ratingId = parseInt(req.params.id);
+    if (isNaN(ratingId)) {
+      return res.status(400).json({ message: "Invalid rating ID" });
+    }
+
+    const reply = await prisma.ratingReply.findUnique({
+      where: { ratingId },
+      include: { rating: { select: { store: { select: { ownerId: true } } } } },
+    });
+    if (!reply) {
+      return res.status(404).json({ message: "Reply not found" });
+    }
+
+    if (
+      req.user.role !== "ADMIN" &&
+      reply.rating.store.ownerId !== req.user.id
+    ) {
+      return res.status(403).json({
+        message: "Only the store owner or an admin can delete this reply",
+      });
+    }
+
+    await prisma.ratingReply.delete({ where: { ratingId } });
+
+    res.json({ message: "Reply deleted successfully" });
+  } catch (error) {
+    console.error("Delete rating reply error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Report a rating to the moderators. Enough open reports take the rating
+// out of public view until an admin reviews it.
+const reportRating = async (req, res) => {
+  try {
+    const ratingId = parseInt(req.params.id);
+    if (isNaN(ratingId)) {
+      return res.status(400).json({ message: "Invalid rating ID" });
+    }
+
+    const { error, value } = reportSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const rating = await prisma.rating.findUnique({
+      where: { id: ratingId },
+    });
+    if (!rating || rating.status === "HIDDEN") {
+      return res.status(404).json({ message: "Rating not found" });
+    }
+
+    if (rating.userId === req.user.id) {
+      return res
+        .status(400)
+        .json({ message: "You cannot report your own rating" });
+    }
+
+    const report = await prisma.$transaction(async (tx) => {
+      const created = await tx.ratingReport.create({
+        data: {
+          ratingId,
+          reporterId: req.user.id,
+          reason: value.reason,
+          details: value.details || null,
+        },
+      });
+
+      const openReports = await tx.ratingReport.count({
+        where: { ratingId, resolvedAt: null },
+      });
+      if (rating.status === "VISIBLE" && openReports >= REPORTS_BEFORE_REVIEW) {
+        await changeRatingStatus(tx, ratingId, rating.storeId, "PENDING");
+      }
+
+      return created;
+    });
+
+    res.status(201).json({ message: "Rating reported successfully", report });
+  } catch (error) {
+    // One report per user and rating, enforced by a unique index
+    if (isUniqueViolation(error)) {
+      return res
+        .status(400)
+        .json({ message: "You have already reported this rating" });
+    }
+    console.error("Report rating error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Vote on whether a rating is helpful. Voting again replaces the user's
+// earlier vote.
+const voteRating = async (req, res) => {
+  try {
+    const ratingId = parseInt(req.params.id);
+    if (isNaN(ratingId)) {
+      return res.status(400).json({ message: "Invalid rating ID" });
+    }
+
+    const { error, value } = voteSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const rating = await prisma.rating.findUnique({
+      where: { id: ratingId },
+    });
+    if (!rating || rating.status !== "VISIBLE") {
+      return res.status(404).json({ message: "Rating not found" });
+    }
+
+    if (rating.userId === req.user.id) {
+      return res
+        .status(400)
+        .json({ message: "You cannot vote on your own rating" });
+    }
+
+    const voteKey = {
+      ratingId_userId: { ratingId, userId: req.user.id },
+    };
+    const counts = await prisma.$transaction(async (tx) => {
+      // The rating may have been deleted or hidden since it was read
+      const locked = await lockRatingVotes(tx, ratingId);
+      if (!locked || locked.status !== "VISIBLE") {
+        return null;
+      }
+
+      const existingVote = await tx.ratingVote.findUnique({
+        where: voteKey,
+      });
+      await tx.ratingVote.upsert({
+        where: voteKey,
+        update: { helpful: value.helpful },
+        create: { ratingId, userId: req.user.id, helpful: value.helpful },
+      });
+
+      return applyVoteChange(
+        tx,
+        ratingId,
+        existingVote ? existingVote.helpful : null,
+        value.helpful
+      );
+    });
+    if (!counts) {
+      return res.status(404).json({ message: "Rating not found" });
+    }
+
+    res.json({
+      message: "Vote saved successfully",
+      myVote: value.helpful,
+      ...counts,
+    });
+  } catch (error) {
+    console.error("Vote rating error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+const deleteRatingVote = async (req, res) => {
+  try {
+    const ratingId = parseInt(req.params.id);
+    if (isNaN(ratingId)) {
+      return res.status(400).json({ message: "Invalid rating ID" });
+    }
+
+    const voteKey = {
+      ratingId_userId: { ratingId, userId: req.user.id },
+    };
+    const counts = await prisma.$transaction(async (tx) => {
+      await lockRatingVotes(tx, ratingId);
+
+      const existingVote = await tx.ratingVote.findUnique({
+        where: voteKey,
+      });
+      if (!existingVote) {
+        return null;
+      }
+
+      await tx.ratingVote.delete({ where: voteKey });
+      return applyVoteChange(tx, ratingId, existingVote.helpful, null);
+    });
+    if (!counts) {
+      return res.status(404).json({ message: "Vote not found" });
+    }
+
+    res.json({ message: "Vote removed successfully", myVote: null, ...counts });
+  } catch (error) {
+    console.error("Delete rating vote error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Every recorded edit of a rating, oldest first. Only the store owner or
+// an admin may see it.
+const getRatingHistory = async (req, res) => {
+  try {
+    const ratingId = parseInt(req.params.id);
+    if (isNaN(ratingId)) {
+      return res.status(400).json({ message: "Invalid rating ID" });
+    }
+
+    const rating = await prisma.rating.findUnique({
+      where: { id: ratingId },
+      select: {
+        id: true,
+        createdAt: true,
+        updatedAt: true,
+        store: { select: { ownerId: true } },
+      },
+    });
+    if (!rating) {
+      return res.status(404).json({ message: "Rating not found" });
+    }
+
+    if (req.user.role !== "ADMIN" && rating.store.ownerId !== req.user.id) {
+      return res.status(403).json({
+        message: "Only the store owner or an admin can view this history",
+      });
+    }
+
+    const history = await prisma.ratingRevision.findMany({
+      where: { ratingId },
+      select: {
+        id: true,
+        previous: true,
+        current: true,
+        createdAt: true,
+        actor: { select: { id: true, name: true } },
+      },
+      orderBy: [{ createdAt: "asc" }, { id: "asc" }],
+    });
+
+    res.json({
+      ratingId,
+      createdAt: rating.createdAt,
+      updatedAt: rating.updatedAt,
+      history,
+    });
+  } catch (error) {
+    console.error("Get rating history error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
 const getUsersRating = async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
@@ -267,9 +771,10 @@ const getUsersRating = async (req, res) => {
             id: true,
             name: true,
             address: true,
-            category: true,
+            category: { select: { id: true, name: true, slug: true } },
           },
         },
+        ...replyInclude,
       },
       orderBy: { createdAt: "desc" },
       skip,
@@ -302,4 +807,10 @@ module.exports = {
   createRating,
   updateRating,
   deleteRating,
+  upsertRatingReply,
+  deleteRatingReply,
+  reportRating,
+  getRatingHistory,
+  voteRating,
+  deleteRatingVote,
 };
@@ -0,0 +1,177 @@
+const Joi = require("joi");
+const prisma = require("../config/prismaClient");
+const { slugify } = require("../services/taxonomy.service");
+
+// Validation schemas
+const createCriterionSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(50).required(),
+  description: Joi.string().max(500).optional(),
+  position: Joi.number().integer().min(0).default(0),
+});
+
+const updateCriterionSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(50).optional(),
+  description: Joi.string().max(500).allow(null).optional(),
+  position: Joi.number().integer().min(0).optional(),
+  active: Joi.boolean().optional(),
+}).min(1);
+
+// Returns true when another criterion already uses the name or its slug
+const isCriterionTaken = async (name, excludeId = null) => {
+  const existing = await prisma.ratingCriterion.findFirst({
+    where: {
+      OR: [
+        { name: { equals: name, mode: "insensitive" } },
+        { slug: slugify(name) },
+      ],
+      ...(excludeId ? { id: { not: excludeId } } : {}),
+    },
+    select: { id: true },
+  });
+  return Boolean(existing);
+};
+
+// Active criteria, for building rating forms
+const getRatingCriteria = async (req, res) => {
+  try {
+    const criteria = await prisma.ratingCriterion.findMany({
+      where: { active: true },
+      select: { id: true, name: true, slug: true, description: true },
+      orderBy: [{ position: "asc" }, { name: "asc" }],
+    });
+
+    res.json({ criteria });
+  } catch (error) {
+    console.error("Get rating criteria error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Every criterion including inactive ones, with how often each was scored
+const getRatingCriteriaForAdmin = async (req, res) => {
+  try {
+    const criteria = await prisma.ratingCriterion.findMany({
+      include: { _count: { select: { scores: true } } },
+      orderBy: [{ position: "asc" }, { name: "asc" }],
+    });
+
+    res.json({ criteria });
+  } catch (error) {
+    console.error("Get admin rating criteria error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+const createRatingCriterion = async (req, res) => {
+  try {
+    const { error, value } = createCriterionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const slug = slugify(value.name);
+    if (!slug) {
+      return res
+        .status(400)
+        .json({ message: "Criterion name must contain letters or digits" });
+    }
+
+    if (await isCriterionTaken(value.name)) {
+      return res.status(400).json({ message: "Criterion already exists" });
+    }
+
+    const criterion = await prisma.ratingCriterion.create({
+      data: { ...value, slug },
+    });
+
+    res.status(201).json({
+      message: "Rating criterion created successfully",
+      criterion,
+    });
+  } catch (error) {
+    console.error("Create rating criterion error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Renaming changes the slug clients submit scores under
+const updateRatingCriterion = async (req, res) => {
+  try {
+    const criterionId = parseInt(req.params.id);
+    if (isNaN(criterionId)) {
+      return res.status(400).json({ message: "Invalid criterion ID" });
+    }
+
+    const { error, value } = updateCriterionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const existingCriterion = await prisma.ratingCriterion.findUnique({
+      where: { id: criterionId },
+    });
+    if (!existingCriterion) {
+      return res.status(404).json({ message: "Rating criterion not found" });
+    }
+
+    const data = { ...value };
+    if (value.name) {
+      data.slug = slugify(value.name);
+      if (!data.slug) {
+        return res
+          .status(400)
+          .json({ message: "Criterion name must contain letters or digits" });
+      }
+
+      if (await isCriterionTaken(value.name, criterionId)) {
+        return res.status(400).json({ message: "Criterion already exists" });
+      }
+    }
+
+    const criterion = await prisma.ratingCriterion.update({
+      where: { id: criterionId },
+      data,
+    });
+
+    res.json({
+      message: "Rating criterion updated successfully",
+      criterion,
+    });
+  } catch (error) {
+    console.error("Update rating criterion error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Deletes the criterion and every score given for it. Set active to false
+// instead to keep past scores.
+const deleteRatingCriterion = async (req, res) => {
+  try {
+    const criterionId = parseInt(req.params.id);
+    if (isNaN(criterionId)) {
+      return res.status(400).json({ message: "Invalid criterion ID" });
+    }
+
+    const existingCriterion = await prisma.ratingCriterion.findUnique({
+      where: { id: criterionId },
+    });
+    if (!existingCriterion) {
+      return res.status(404).json({ message: "Rating criterion not found" });
+    }
+
+    await prisma.ratingCriterion.delete({ where: { id: criterionId } });
+
+    res.json({ message: "Rating criterion deleted successfully" });
+  } catch (error) {
+    console.error("Delete rating criterion error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+module.exports = {
+  getRatingCriteria,
+  getRatingCriteriaForAdmin,
+  createRatingCriterion,
+  updateRatingCriterion,
+  deleteRatingCriterion,
+};
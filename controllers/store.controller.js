@@ -1,20 +1,148 @@
 const Joi = require("joi");
+const { Prisma } = require("@prisma/client");
 const prisma = require("../config/prismaClient"); // Adjust as per your file structure
+const {
+  getRatingSeries,
+  getPeriodStats,
+  ratingDistribution,
+} = require("../services/ratingStats.service");
+const {
+  storeTaxonomyFields,
+  storeTaxonomyInclude,
+  categoryExists,
+  tagsWrite,
+  formatTaxonomy,
+} = require("../services/taxonomy.service");
+const {
+  storeLocationFields,
+  resolveCoordinates,
+  boundingBoxCondition,
+  findStoresNear,
+} = require("../services/geo.service");
+const {
+  openNowCondition,
+  getOpenStatus,
+} = require("../services/openingHours.service");
+const {
+  priorWeight,
+  getGlobalMean,
+  bayesianScore,
+  rankStoreIds,
+  getTopStores,
+} = require("../services/ranking.service");
+const { getCriteriaAverages } = require("../services/ratingCriteria.service");
+const {
+  imageFileKeys,
+  formatStoreImages,
+  storeImagesInclude,
+} = require("../services/image.service");
+const { removeFiles } = require("../services/storage.service");
 
 // Validation schemas
 const createStoreSchema = Joi.object({
   name: Joi.string().min(2).max(100).required(),
-  role: Joi.string().valid("STORE_OWNER", "ADMIN").required(),
-  email: Joi.string().email().optional(),
+  email: Joi.string().email().required(),
   address: Joi.string().min(5).max(200).required(),
   ownerId: Joi.number().integer().optional(), // For admin creating stores
-});
+  ...storeTaxonomyFields,
+  ...storeLocationFields,
+}).and("latitude", "longitude");
 
 const updateStoreSchema = Joi.object({
   name: Joi.string().min(2).max(100).optional(),
   email: Joi.string().email().optional(),
   address: Joi.string().min(5).max(200).optional(),
-});
+  ...storeTaxonomyFields,
+  ...storeLocationFields,
+}).and("latitude", "longitude");
+
+// Sort options mapped to Store columns
+const STORE_SORT_COLUMNS = {
+  name: "name",
+  createdAt: "createdAt",
+  averageRating: "averageRating",
+  ratingCount: "ratingCount",
+};
+
+const storeListSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  search: Joi.string().trim().max(100).allow("").default(""),
+  minRating: Joi.number().min(0).max(5).optional(),
+  ownerId: Joi.number().integer().optional(),
+  category: Joi.string().trim().lowercase().max(100).optional(),
+  // Comma-separated; a store matches if it has any of the tags
+  tag: Joi.string().trim().lowercase().max(200).optional(),
+  // Map viewport; all four edges are given together
+  minLat: Joi.number().min(-90).max(90).optional(),
+  maxLat: Joi.number().min(-90).max(90).min(Joi.ref("minLat")).optional(),
+  minLng: Joi.number().min(-180).max(180).optional(),
+  maxLng: Joi.number().min(-180).max(180).optional(),
+  // true: only stores open now, false: only stores closed now
+  openNow: Joi.boolean().optional(),
+  // "score" ranks by Bayesian average instead of a column
+  sortBy: Joi.string()
+    .valid(...Object.keys(STORE_SORT_COLUMNS), "score")
+    .default("createdAt"),
+  sortOrder: Joi.string().valid("asc", "desc").default("desc"),
+})
+  .and("minLat", "maxLat", "minLng", "maxLng")
+  .unknown(true);
+
+const nearbySchema = Joi.object({
+  lat: Joi.number().min(-90).max(90).required(),
+  lng: Joi.number().min(-180).max(180).required(),
+  radiusKm: Joi.number().positive().max(100).default(5),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+}).unknown(true);
+
+const topStoresSchema = Joi.object({
+  period: Joi.string().valid("all", "week", "month", "year").default("all"),
+  limit: Joi.number().integer().min(1).max(50).default(10),
+  minRatings: Joi.number().integer().min(1).default(1),
+  categoryId: Joi.number().integer().optional(),
+}).unknown(true);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Start of the current calendar week (Monday), month or year in UTC
+const periodStart = (period, now = new Date()) => {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+  const day = now.getUTCDate();
+
+  switch (period) {
+    case "week":
+      return new Date(Date.UTC(year, month, day - ((now.getUTCDay() + 6) % 7)));
+    case "month":
+      return new Date(Date.UTC(year, month, 1));
+    case "year":
+      return new Date(Date.UTC(year, 0, 1));
+    default:
+      return null;
+  }
+};
+
+// Longest range allowed per interval, to bound the number of buckets
+const SUMMARY_MAX_DAYS = { day: 366, week: 366 * 3, month: 366 * 10 };
+
+const storeSummarySchema = Joi.object({
+  interval: Joi.string().valid("day", "week", "month").default("day"),
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().optional(),
+}).unknown(true);
+
+const roundRating = (value) => {
+  return value === null ? null : parseFloat(value.toFixed(2));
+};
+
+// Relative change from previous to current, null when there is no baseline
+const percentChange = (current, previous) => {
+  if (current === null || !previous) {
+    return null;
+  }
+  return parseFloat((((current - previous) / previous) * 100).toFixed(1));
+};
 
 const getCommonLength = async (req, res) => {
   try {
@@ -32,66 +160,129 @@ const getCommonLength = async (req, res) => {
   }
 };
 
+// Match search text literally inside ILIKE
+const likePattern = (text) => `%${text.replace(/[\\%_]/g, "\\$&")}%`;
+
+// SQL condition on "Store" AS s for the store list filters
+const storeListFilter = (value, tags) => {
+  const conditions = [];
+  if (value.search) {
+    const pattern = likePattern(value.search);
+    conditions.push(
+      Prisma.sql`(s."name" ILIKE ${pattern} OR s."address" ILIKE ${pattern})`
+    );
+  }
+  if (value.ownerId) {
+    conditions.push(Prisma.sql`s."ownerId" = ${value.ownerId}`);
+  }
+  if (value.minRating !== undefined) {
+    conditions.push(Prisma.sql`s."averageRating" >= ${value.minRating}`);
+  }
+  if (value.category) {
+    conditions.push(Prisma.sql`EXISTS (
+      SELECT 1 FROM "Category" AS c
+      WHERE c."id" = s."categoryId" AND c."slug" = ${value.category})`);
+  }
+  if (tags.length) {
+    conditions.push(Prisma.sql`EXISTS (
+      SELECT 1 FROM "_StoreToTag" AS st
+      JOIN "Tag" AS t ON t."id" = st."B"
+      WHERE st."A" = s."id" AND t."name" IN (${Prisma.join(tags)}))`);
+  }
+  if (value.minLat !== undefined) {
+    conditions.push(boundingBoxCondition(value));
+  }
+  if (value.openNow !== undefined) {
+    conditions.push(
+      value.openNow ? openNowCondition : Prisma.sql`NOT ${openNowCondition}`
+    );
+  }
+
+  return conditions.length > 0
+    ? Prisma.join(conditions, " AND ")
+    : Prisma.sql`TRUE`;
+};
+
 const getAllStores = async (req, res) => {
   try {
-    // const page = Math.max(1, parseInt(req.query.page)) || 1;
-    // const limit = Math.max(1, parseInt(req.query.limit)) || 10;
-    // const skip = (page - 1) * limit;
-    // const search = req.query.search || "";
-    // const category = req.query.category || "";
-    // const sortBy = req.query.sortBy || "createdAt";
-    // const sortOrder = req.query.sortOrder === "asc" ? "asc" : "desc";
-
-    // const where = {
-    //   AND: [
-    //     ...(search
-    //       ? [
-    //           {
-    //             OR: [
-    //               { name: { contains: search, mode: "insensitive" } },
-    //               { address: { contains: search, mode: "insensitive" } },
-    //               { description: { contains: search, mode: "insensitive" } },
-    //             ],
-    //           },
-    //         ]
-    //       : []),
-    //     ...(category
-    //       ? [{ category: { contains: category, mode: "insensitive" } }]
-    //       : []),
-    //   ],
-    // };
-
-    const stores = await prisma.store.findMany();
-
-    const storesWithAvgRating = stores.map((store) => {
-      // const totalRating = store.ratings.reduce((sum, r) => sum + r.rating, 0);
-      // const avgRating =
-      //   store.ratings.length > 0 ? totalRating / store.ratings.length : 0;
-
-      return {
-        id: store.id,
-        name: store.name,
-        email: store.email,
-        address: store.address,
-        // description: store.description,
-        category: store.category,
-        owner: store.owner,
-        // averageRating: parseFloat(avgRating.toFixed(1)),
-        // totalRatings: store._count.ratings,
-        createdAt: store.createdAt,
-      };
+    const { error, value } = storeListSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const { page, limit, sortBy, sortOrder } = value;
+    // Match stored tag names: trimmed, and lowercased by the schema
+    const tags = value.tag
+      ? value.tag
+          .split(",")
+          .map((tag) => tag.trim())
+          .filter(Boolean)
+      : [];
+    const skip = (page - 1) * limit;
+
+    const filter = storeListFilter(value, tags);
+    const include = {
+      owner: { select: { id: true, name: true } },
+      ...storeTaxonomyInclude,
+      ...storeImagesInclude,
+    };
+
+    let pageIds;
+    if (sortBy === "score") {
+      pageIds = await rankStoreIds(filter, sortOrder, { skip, limit });
+    } else {
+      const column = Prisma.raw(`"${STORE_SORT_COLUMNS[sortBy]}"`);
+      const direction = Prisma.raw(sortOrder === "asc" ? "ASC" : "DESC");
+      // Tie-break on id so pages are stable
+      const rows = await prisma.$queryRaw`
+        SELECT s."id" FROM "Store" AS s
+        WHERE ${filter}
+        ORDER BY s.${column} ${direction}, s."id"
+        LIMIT ${limit} OFFSET ${skip}`;
+      pageIds = rows.map((row) => row.id);
+    }
+
+    const [{ count: totalStores }] = await prisma.$queryRaw`
+      SELECT COUNT(*)::int AS "count" FROM "Store" AS s WHERE ${filter}`;
+
+    const pageStores = await prisma.store.findMany({
+      where: { id: { in: pageIds } },
+      include,
     });
+    const stores = pageIds.map((id) =>
+      pageStores.find((store) => store.id === id)
+    );
 
-    // const totalStores = await prisma.store.count({ where });
+    const globalMean = await getGlobalMean();
+    const openStatus = await getOpenStatus(stores.map((store) => store.id));
+
+    const storesWithAvgRating = stores.map((store) => ({
+      id: store.id,
+      name: store.name,
+      email: store.email,
+      address: store.address,
+      latitude: store.latitude,
+      longitude: store.longitude,
+      owner: store.owner,
+      ...formatTaxonomy(store),
+      ...formatStoreImages(store.images),
+      averageRating: parseFloat(store.averageRating.toFixed(1)),
+      totalRatings: store.ratingCount,
+      score: parseFloat(
+        bayesianScore(store.ratingSum, store.ratingCount, globalMean).toFixed(2)
+      ),
+      isOpen: openStatus.get(store.id) ?? null,
+      createdAt: store.createdAt,
+    }));
 
     return res.json({
       stores: storesWithAvgRating,
-      // pagination: {
-      //   page,
-      //   limit,
-      //   // total: totalStores,
-      //   pages: Math.ceil(totalStores / limit),
-      // },
+      pagination: {
+        page,
+        limit,
+        total: totalStores,
+        pages: Math.ceil(totalStores / limit),
+      },
     });
   } catch (error) {
     console.error("Get stores error:", error);
@@ -106,24 +297,32 @@ const createNewStore = async (req, res) => {
       return res.status(400).json({ message: error.details[0].message });
     }
 
-    if (value.role === "NORMAL_USER") {
+    if (req.user.role === "NORMAL_USER") {
       return res
         .status(403)
         .json({ message: "Only store owners and admins can create stores" });
     }
 
-    // let ownerId = req.user.id;
-    if (value.role === "ADMIN") {
+    let ownerId = req.user.id;
+    if (req.user.role === "ADMIN" && value.ownerId) {
       ownerId = value.ownerId;
     }
 
+    if (value.categoryId && !(await categoryExists(value.categoryId))) {
+      return res.status(400).json({ message: "Category not found" });
+    }
+
     const store = await prisma.store.create({
       data: {
         name: value.name,
         email: value.email,
         address: value.address,
         ownerId,
-      }
+        categoryId: value.categoryId,
+        tags: value.tags ? await tagsWrite(value.tags) : undefined,
+        ...(await resolveCoordinates(value)),
+      },
+      include: storeTaxonomyInclude,
     });
 
     return res.status(201).json({
@@ -161,11 +360,21 @@ const updateNewStore = async (req, res) => {
         .json({ message: "You can only update your own stores" });
     }
 
+    if (value.categoryId && !(await categoryExists(value.categoryId))) {
+      return res.status(400).json({ message: "Category not found" });
+    }
+
+    const { tags, ...fields } = value;
     const updatedStore = await prisma.store.update({
       where: { id: storeId },
-      data: value,
+      data: {
+        ...fields,
+        tags: tags ? await tagsWrite(tags, { replace: true }) : undefined,
+        ...(await resolveCoordinates(value, existingStore.address)),
+      },
       include: {
         owner: { select: { name: true, email: true } },
+        ...storeTaxonomyInclude,
       },
     });
 
@@ -188,6 +397,7 @@ const deleteStore = async (req, res) => {
 
     const existingStore = await prisma.store.findUnique({
       where: { id: storeId },
+      include: storeImagesInclude,
     });
     if (!existingStore) {
       return res.status(404).json({ message: "Store not found" });
@@ -199,7 +409,11 @@ const deleteStore = async (req, res) => {
         .json({ message: "You can only delete your own stores" });
     }
 
-    await prisma.store.delete({ where: { id: storeId } });
+    await prisma.$transaction([
+      prisma.rating.deleteMany({ where: { storeId } }),
+      prisma.store.delete({ where: { id: storeId } }),
+    ]);
+    await removeFiles(imageFileKeys(existingStore.images));
 
     return res.json({ message: "Store deleted successfully" });
   } catch (error) {
@@ -208,8 +422,176 @@ const deleteStore = async (req, res) => {
   }
 };
 
+// Leaderboard by Bayesian score, over all time or the current period
+const getTopRatedStores = async (req, res) => {
+  try {
+    const { error, value } = topStoresSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const from = periodStart(value.period);
+    const stores = await getTopStores({
+      from,
+      limit: value.limit,
+      minRatings: value.minRatings,
+      categoryId: value.categoryId,
+    });
+
+    return res.json({
+      period: value.period,
+      from,
+      priorWeight: priorWeight(),
+      stores: stores.map((store, index) => ({
+        rank: index + 1,
+        id: store.id,
+        name: store.name,
+        address: store.address,
+        averageRating: parseFloat(store.averageRating.toFixed(1)),
+        totalRatings: store.ratingCount,
+        score: parseFloat(store.score.toFixed(2)),
+      })),
+    });
+  } catch (error) {
+    console.error("Get top stores error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Stores with coordinates within radiusKm of a point, nearest first
+const getNearbyStores = async (req, res) => {
+  try {
+    const { error, value } = nearbySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const { lat, lng, radiusKm, limit } = value;
+    const stores = await findStoresNear(lat, lng, radiusKm, limit);
+    const openStatus = await getOpenStatus(stores.map((store) => store.id));
+
+    return res.json({
+      origin: { lat, lng },
+      radiusKm,
+      stores: stores.map((store) => ({
+        id: store.id,
+        name: store.name,
+        address: store.address,
+        latitude: store.latitude,
+        longitude: store.longitude,
+        distanceKm: parseFloat(store.distanceKm.toFixed(2)),
+        averageRating: parseFloat(store.averageRating.toFixed(1)),
+        totalRatings: store.ratingCount,
+        isOpen: openStatus.get(store.id) ?? null,
+      })),
+    });
+  } catch (error) {
+    console.error("Get nearby stores error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Rating breakdown and trend for one store over a date range
+const getStoreSummary = async (req, res) => {
+  try {
+    const storeId = parseInt(req.params.id);
+    if (isNaN(storeId)) {
+      return res.status(400).json({ message: "Invalid store ID" });
+    }
+
+    const { error, value } = storeSummarySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const { interval } = value;
+    // Defaults to the last 30 days; "to" is exclusive
+    const to = value.to || new Date();
+    const from = value.from || new Date(to.getTime() - 30 * DAY_MS);
+
+    if (from >= to) {
+      return res
+        .status(400)
+        .json({ message: '"from" must be earlier than "to"' });
+    }
+
+    if (to - from > SUMMARY_MAX_DAYS[interval] * DAY_MS) {
+      return res.status(400).json({
+        message: `Date range is too long for a ${interval} interval`,
+      });
+    }
+
+    const store = await prisma.store.findUnique({
+      where: { id: storeId },
+    });
+    if (!store) {
+      return res.status(404).json({ message: "Store not found" });
+    }
+
+    // The previous period has the same length and ends where this one starts
+    const previousFrom = new Date(from.getTime() - (to - from));
+
+    const series = await getRatingSeries(storeId, from, to, interval);
+    const current = await getPeriodStats(storeId, from, to);
+    const previous = await getPeriodStats(storeId, previousFrom, from);
+    const criteria = await getCriteriaAverages(storeId);
+    const currentCriteria = await getCriteriaAverages(storeId, from, to);
+
+    return res.json({
+      storeId,
+      averageRating: roundRating(store.averageRating),
+      totalRatings: store.ratingCount,
+      distribution: ratingDistribution(store),
+      range: { from, to, interval },
+      series: series.map((bucket) => ({
+        period: bucket.period,
+        averageRating: roundRating(bucket.average),
+        count: bucket.count,
+      })),
+      current: {
+        averageRating: roundRating(current.average),
+        count: current.count,
+      },
+      previous: {
+        from: previousFrom,
+        to: from,
+        averageRating: roundRating(previous.average),
+        count: previous.count,
+      },
+      change: {
+        averageRating:
+          current.average === null || previous.average === null
+            ? null
+            : roundRating(current.average - previous.average),
+        count: current.count - previous.count,
+        countPercent: percentChange(current.count, previous.count),
+      },
+      criteria: criteria.map((criterion) => {
+        const inRange = currentCriteria.find((c) => c.id === criterion.id);
+        return {
+          id: criterion.id,
+          name: criterion.name,
+          slug: criterion.slug,
+          averageRating: roundRating(criterion.average),
+          count: criterion.count,
+          current: {
+            averageRating: roundRating(inRange ? inRange.average : null),
+            count: inRange ? inRange.count : 0,
+          },
+        };
+      }),
+    });
+  } catch (error) {
+    console.error("Get store summary error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
 module.exports = {
   getAllStores,
+  getTopRatedStores,
+  getNearbyStores,
+  getStoreSummary,
   createNewStore,
   updateNewStore,
   deleteStore,
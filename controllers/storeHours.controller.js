@@ -0,0 +1,198 @@
+const Joi = require("joi");
+const prisma = require("../config/prismaClient");
+const {
+  DAYS,
+  intervalsSchema,
+  timeZoneSchema,
+  weeklyHoursSchema,
+  localDate,
+  getOpenStatus,
+  formatWeeklyHours,
+  formatOverrides,
+} = require("../services/openingHours.service");
+
+// Validation schemas
+const updateHoursSchema = Joi.object({
+  timezone: timeZoneSchema.optional(),
+  weekly: weeklyHoursSchema.optional(),
+}).min(1);
+
+const hoursOverrideSchema = Joi.object({
+  closed: Joi.boolean().default(false),
+  intervals: intervalsSchema.min(1).when("closed", {
+    is: true,
+    then: Joi.forbidden(),
+    otherwise: Joi.required(),
+  }),
+  note: Joi.string().max(200).optional(),
+});
+
+// "YYYY-MM-DD" route parameter as a UTC midnight Date, or null
+const parseDateParam = (value) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return null;
+  }
+
+  const date = new Date(`${value}T00:00:00Z`);
+  return isNaN(date) || date.toISOString().slice(0, 10) !== value
+    ? null
+    : date;
+};
+
+// Weekly hours, today's and upcoming overrides, and whether it is open now
+const loadSchedule = async (storeId) => {
+  const store = await prisma.store.findUnique({
+    where: { id: storeId },
+    select: { id: true, timezone: true, openingHours: true },
+  });
+  if (!store) {
+    return null;
+  }
+
+  const overrides = await prisma.storeHoursOverride.findMany({
+    where: {
+      storeId,
+      date: { gte: new Date(`${localDate(store.timezone)}T00:00:00Z`) },
+    },
+  });
+  const status = await getOpenStatus([storeId]);
+
+  return {
+    storeId,
+    timezone: store.timezone,
+    isOpen: status.get(storeId) ?? null,
+    weekly: formatWeeklyHours(store.openingHours),
+    overrides: formatOverrides(overrides),
+  };
+};
+
+const getStoreHours = async (req, res) => {
+  try {
+    const storeId = parseInt(req.params.id);
+    if (isNaN(storeId)) {
+      return res.status(400).json({ message: "Invalid store ID" });
+    }
+
+    const schedule = await loadSchedule(storeId);
+    if (!schedule) {
+      return res.status(404).json({ message: "Store not found" });
+    }
+
+    res.json(schedule);
+  } catch (error) {
+    console.error("Get store hours error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Set the time zone and/or replace the whole weekly schedule
+const updateStoreHours = async (req, res) => {
+  try {
+    const { error, value } = updateHoursSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const storeId = req.store.id;
+    await prisma.$transaction(async (tx) => {
+      if (value.timezone) {
+        await tx.store.update({
+          where: { id: storeId },
+          data: { timezone: value.timezone },
+        });
+      }
+
+      if (value.weekly) {
+        await tx.storeOpeningHours.deleteMany({ where: { storeId } });
+        await tx.storeOpeningHours.createMany({
+          data: DAYS.flatMap((day, dayOfWeek) =>
+            (value.weekly[day] || []).map((interval) => ({
+              storeId,
+              dayOfWeek,
+              ...interval,
+            }))
+          ),
+        });
+      }
+    });
+
+    res.json({
+      message: "Opening hours updated successfully",
+      hours: await loadSchedule(storeId),
+    });
+  } catch (error) {
+    console.error("Update store hours error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Set the hours for one local date, replacing any earlier override for it
+const setHoursOverride = async (req, res) => {
+  try {
+    const date = parseDateParam(req.params.date);
+    if (!date) {
+      return res
+        .status(400)
+        .json({ message: "Date must be a valid YYYY-MM-DD date" });
+    }
+
+    const { error, value } = hoursOverrideSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const storeId = req.store.id;
+    const note = value.note ?? null;
+    const rows = value.closed
+      ? [{ storeId, date, opensAt: null, closesAt: null, note }]
+      : value.intervals.map((interval) => ({
+          storeId,
+          date,
+          note,
+          ...interval,
+        }));
+
+    await prisma.$transaction([
+      prisma.storeHoursOverride.deleteMany({ where: { storeId, date } }),
+      prisma.storeHoursOverride.createMany({ data: rows }),
+    ]);
+
+    res.json({
+      message: "Hours override saved successfully",
+      override: formatOverrides(rows)[0],
+    });
+  } catch (error) {
+    console.error("Set hours override error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+const deleteHoursOverride = async (req, res) => {
+  try {
+    const date = parseDateParam(req.params.date);
+    if (!date) {
+      return res
+        .status(400)
+        .json({ message: "Date must be a valid YYYY-MM-DD date" });
+    }
+
+    const { count } = await prisma.storeHoursOverride.deleteMany({
+      where: { storeId: req.store.id, date },
+    });
+    if (count === 0) {
+      return res.status(404).json({ message: "Hours override not found" });
+    }
+
+    res.json({ message: "Hours override deleted successfully" });
+  } catch (error) {
+    console.error("Delete hours override error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+module.exports = {
+  getStoreHours,
+  updateStoreHours,
+  setHoursOverride,
+  deleteHoursOverride,
+};
@@ -0,0 +1,176 @@
+const prisma = require("../config/prismaClient");
+const {
+  IMAGE_LIMITS,
+  processImage,
+  storeImageFiles,
+  imageFileKeys,
+  formatImage,
+} = require("../services/image.service");
+const { removeFiles } = require("../services/storage.service");
+
+const INVALID_IMAGE_MESSAGE = "Only JPEG, PNG and WebP images are allowed";
+
+// Upload or replace the store logo (multipart field "logo")
+const uploadStoreLogo = async (req, res) => {
+  try {
+    const { store } = req;
+
+    if (!req.file) {
+      return res.status(400).json({ message: "A logo image is required" });
+    }
+
+    const image = await processImage(req.file.buffer);
+    if (!image) {
+      return res.status(400).json({ message: INVALID_IMAGE_MESSAGE });
+    }
+
+    const files = await storeImageFiles(store.id, image);
+
+    let previousLogos;
+    let logo;
+    try {
+      [previousLogos, logo] = await prisma.$transaction(async (tx) => {
+        const existing = await tx.storeImage.findMany({
+          where: { storeId: store.id, kind: "LOGO" },
+        });
+        await tx.storeImage.deleteMany({
+          where: { storeId: store.id, kind: "LOGO" },
+        });
+        const created = await tx.storeImage.create({
+          data: { storeId: store.id, kind: "LOGO", ...files },
+        });
+        return [existing, created];
+      });
+    } catch (error) {
+      await removeFiles(imageFileKeys([files]));
+      throw error;
+    }
+
+    await removeFiles(imageFileKeys(previousLogos));
+
+    res.status(201).json({
+      message: "Logo uploaded successfully",
+      logo: formatImage(logo),
+    });
+  } catch (error) {
+    console.error("Upload store logo error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+const deleteStoreLogo = async (req, res) => {
+  try {
+    const { store } = req;
+
+    const logos = await prisma.storeImage.findMany({
+      where: { storeId: store.id, kind: "LOGO" },
+    });
+    if (logos.length === 0) {
+      return res.status(404).json({ message: "Store has no logo" });
+    }
+
+    await prisma.storeImage.deleteMany({
+      where: { id: { in: logos.map((logo) => logo.id) } },
+    });
+    await removeFiles(imageFileKeys(logos));
+
+    res.json({ message: "Logo deleted successfully" });
+  } catch (error) {
+    console.error("Delete store logo error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Add gallery images (multipart field "images", several files)
+const uploadStoreImages = async (req, res) => {
+  try {
+    const { store } = req;
+
+    if (!req.files || req.files.length === 0) {
+      return res
+        .status(400)
+        .json({ message: "At least one image is required" });
+    }
+
+    const galleryCount = await prisma.storeImage.count({
+      where: { storeId: store.id, kind: "GALLERY" },
+    });
+    if (galleryCount + req.files.length > IMAGE_LIMITS.maxGalleryImages) {
+      return res.status(400).json({
+        message: `A store can have at most ${IMAGE_LIMITS.maxGalleryImages} gallery images`,
+      });
+    }
+
+    // Validate every file before writing any of them
+    const processed = [];
+    for (const file of req.files) {
+      const image = await processImage(file.buffer);
+      if (!image) {
+        return res.status(400).json({
+          message: `${file.originalname}: ${INVALID_IMAGE_MESSAGE}`,
+        });
+      }
+      processed.push(image);
+    }
+
+    const saved = [];
+    let images;
+    try {
+      for (const image of processed) {
+        saved.push(await storeImageFiles(store.id, image));
+      }
+
+      images = await prisma.$transaction(
+        saved.map((files) =>
+          prisma.storeImage.create({
+            data: { storeId: store.id, kind: "GALLERY", ...files },
+          })
+        )
+      );
+    } catch (error) {
+      await removeFiles(imageFileKeys(saved));
+      throw error;
+    }
+
+    res.status(201).json({
+      message: "Images uploaded successfully",
+      images: images.map(formatImage),
+    });
+  } catch (error) {
+    console.error("Upload store images error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+const deleteStoreImage = async (req, res) => {
+  try {
+    const { store } = req;
+
+    const imageId = parseInt(req.params.imageId);
+    if (isNaN(imageId)) {
+      return res.status(400).json({ message: "Invalid image ID" });
+    }
+
+    const image = await prisma.storeImage.findFirst({
+      where: { id: imageId, storeId: store.id, kind: "GALLERY" },
+    });
+    if (!image) {
+      return res.status(404).json({ message: "Image not found" });
+    }
+
+    await prisma.storeImage.delete({ where: { id: imageId } });
+    await removeFiles(imageFileKeys([image]));
+
+    res.json({ message: "Image deleted successfully" });
+  } catch (error) {
+    console.error("Delete store image error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+module.exports = {
+  uploadStoreLogo,
+  deleteStoreLogo,
+  uploadStoreImages,
+  deleteStoreImage,
+};
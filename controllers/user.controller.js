@@ -1,6 +1,10 @@
 const Joi = require("joi");
 const prisma = require("../config/prismaClient");
 const { verifyToken } = require("../middleware/verifyToken");
+const {
+  revokeSession,
+  revokeUserSessions,
+} = require("../services/token.service");
 // Validation schemas
 const updateProfileSchema = Joi.object({
   name: Joi.string().min(2).max(50).optional(),
@@ -8,43 +12,6 @@ const updateProfileSchema = Joi.object({
   phone: Joi.string().max(20).optional(),
 });
 
-const getAllUsers = async (req, res) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-
-    const users = await prisma.user.findMany({
-      skip,
-      take: limit,
-      orderBy: { createdAt: "desc" },
-      select: {
-        id: true,
-        name: true,
-        email: true,
-        role: true,
-        address: true,
-        createdAt: true,
-      },
-    });
-
-    const totalUsers = await prisma.user.count();
-
-    res.json({
-      users,
-      pagination: {
-        page,
-        limit,
-        total: totalUsers,
-        pages: Math.ceil(totalUsers / limit),
-      },
-    });
-  } catch (error) {
-    console.error("Get all users error:", error);
-    res.status(500).json({ message: "Internal server error" });
-  }
-}
-
 // get user profile
 
 const getUserProfile = async (req, res) => {
@@ -113,9 +80,9 @@ const userStatistic = async (req, res) => {
       },
     });
 
-    // Get average rating given by user
+    // Get average rating given by user, over visible ratings only
     const avgRating = await prisma.rating.aggregate({
-      where: { userId: req.user.id },
+      where: { userId: req.user.id, status: "VISIBLE" },
       _avg: { rating: true },
     });
 
@@ -138,33 +105,24 @@ const getStores = async (req, res) => {
       where: { ownerId: req.user.id },
       include: {
         ratings: {
+          where: { status: "VISIBLE" },
           include: {
             user: {
               select: { name: true, email: true },
             },
+            reply: {
+              select: { id: true, body: true, updatedAt: true },
+            },
           },
         },
-        _count: {
-          select: { ratings: true },
-        },
       },
     });
 
-    // Calculate average rating for each store
-    const storesWithAvgRating = stores.map((store) => {
-      const totalRating = store.ratings.reduce(
-        (sum, rating) => sum + rating.rating,
-        0
-      );
-      const avgRating =
-        store.ratings.length > 0 ? totalRating / store.ratings.length : 0;
-
-      return {
-        ...store,
-        averageRating: parseFloat(avgRating.toFixed(1)),
-        totalRatings: store._count.ratings,
-      };
-    });
+    const storesWithAvgRating = stores.map((store) => ({
+      ...store,
+      averageRating: parseFloat(store.averageRating.toFixed(1)),
+      totalRatings: store.ratingCount,
+    }));
 
     res.json({ stores: storesWithAvgRating });
   } catch (error) {
@@ -188,7 +146,16 @@ const getUserRating = async (req, res) => {
             id: true,
             name: true,
             address: true,
-            category: true,
+            category: { select: { id: true, name: true, slug: true } },
+          },
+        },
+        reply: {
+          select: {
+            id: true,
+            body: true,
+            createdAt: true,
+            updatedAt: true,
+            author: { select: { id: true, name: true } },
           },
         },
       },
@@ -216,11 +183,77 @@ const getUserRating = async (req, res) => {
   }
 };
 
+// List the user's active sessions (devices)
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await prisma.session.findMany({
+      where: {
+        userId: req.user.id,
+        revokedAt: null,
+        refreshTokens: {
+          some: { revokedAt: null, expiresAt: { gt: new Date() } },
+        },
+      },
+      select: {
+        id: true,
+        userAgent: true,
+        ipAddress: true,
+        createdAt: true,
+        lastSeenAt: true,
+      },
+      orderBy: { lastSeenAt: "desc" },
+    });
+
+    res.json({
+      sessions: sessions.map((session) => ({
+        ...session,
+        current: session.id === req.sessionId,
+      })),
+    });
+  } catch (error) {
+    console.error("Get sessions error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+const revokeUserSession = async (req, res) => {
+  try {
+    const session = await prisma.session.findUnique({
+      where: { id: req.params.id },
+    });
+
+    if (!session || session.userId !== req.user.id) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+
+    await revokeSession(session.id);
+
+    res.json({ message: "Session revoked successfully" });
+  } catch (error) {
+    console.error("Revoke session error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Sign out every device except the one making the request
+const revokeOtherSessions = async (req, res) => {
+  try {
+    await revokeUserSessions(req.user.id, req.sessionId);
+
+    res.json({ message: "Other sessions revoked successfully" });
+  } catch (error) {
+    console.error("Revoke sessions error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
 module.exports = {
   updateProfile,
   getUserProfile,
   getStores,
   getUserRating,
   userStatistic,
-  getAllUsers
+  getSessions,
+  revokeUserSession,
+  revokeOtherSessions,
 };
@@ -3,16 +3,35 @@ const prisma = require("./config/prismaClient");
 const userRouter = require("./routes/user.route");
 const storeRouter = require("./routes/store.route");
 const ratingRouter = require("./routes/rating.route");
+const categoryRouter = require("./routes/category.route");
 const helmet = require("helmet");
 const cors = require("cors");
-const rateLimit = require("express-rate-limit");
+const { apiLimiter } = require("./middleware/rateLimit");
 const authRouter = require("./routes/auth.route");
+const adminRouter = require("./routes/admin.route");
+const { uploadDir } = require("./services/storage.service");
 
 require("dotenv").config();
 
 const app = express();
 const port = process.env.PORT || 3000;
 
+// Behind a reverse proxy or load balancer, set TRUST_PROXY so req.ip is the
+// client's address from X-Forwarded-For instead of the proxy's. Rate limits,
+// login lockouts, sessions and fraud checks all key on it. Takes what
+// Express's "trust proxy" does: "true", a hop count such as "1", or
+// comma-separated addresses and subnets such as "loopback,10.0.0.0/8".
+const parseTrustProxy = (value) => {
+  if (value === "true" || value === "false") {
+    return value === "true";
+  }
+  return /^\d+$/.test(value) ? Number(value) : value;
+};
+
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", parseTrustProxy(process.env.TRUST_PROXY));
+}
+
 // Security middleware
 app.use(helmet());
 app.use(
@@ -22,23 +41,30 @@ app.use(
   })
 );
 
-// const limiter = rateLimit({
-//   windowMs: 16 * 60 * 100,
-//   max: 10,
-//   message: "Too many requests from this IP, please try again later.",
-// });
+app.use(apiLimiter);
 
-// app.use(limiter);
-// 
 // Body parsing middleware
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true }));
 
+// Uploaded images from the local storage driver. The frontend runs on
+// another origin, so allow it to embed them.
+app.use(
+  "/uploads",
+  express.static(uploadDir(), {
+    setHeaders: (res) => {
+      res.set("Cross-Origin-Resource-Policy", "cross-origin");
+    },
+  })
+);
+
 // Routes
 app.use("/api/auth", authRouter);
 app.use("/api/user", userRouter);
 app.use("/api/store", storeRouter);
 app.use("/api/rating", ratingRouter);
+app.use("/api/category", categoryRouter);
+app.use("/api/admin", adminRouter);
 
 async function startServer() {
   try {
@@ -0,0 +1,179 @@
+const rateLimit = require("express-rate-limit");
+const prisma = require("../config/prismaClient");
+
+// Failed logins are tracked per account (email) and per IP. After a few free
+// attempts each further failure doubles the wait before the next try, and
+// reaching the threshold locks the key for a while.
+const LOGIN_LIMITS = {
+  freeAttempts: 3,
+  maxDelaySeconds: 60,
+  failureWindowMinutes: 15,
+  lockMinutes: 15,
+  thresholds: { ACCOUNT: 10, IP: 50 },
+};
+
+const MINUTE_MS = 60 * 1000;
+
+const limitResponse = (message) => ({
+  standardHeaders: "draft-7",
+  legacyHeaders: false,
+  message: { message },
+});
+
+// Whole-API safety net
+const apiLimiter = rateLimit({
+  windowMs: 15 * MINUTE_MS,
+  limit: 500,
+  ...limitResponse("Too many requests from this IP, please try again later."),
+});
+
+const registerLimiter = rateLimit({
+  windowMs: 60 * MINUTE_MS,
+  limit: 5,
+  ...limitResponse("Too many accounts created from this IP, try again later."),
+});
+
+// Forgot/reset password and verification emails
+const accountRecoveryLimiter = rateLimit({
+  windowMs: 15 * MINUTE_MS,
+  limit: 5,
+  ...limitResponse("Too many requests, please try again later."),
+});
+
+const throttleKeys = (email, ipAddress) => [
+  { scope: "ACCOUNT", key: `account:${email.toLowerCase()}` },
+  { scope: "IP", key: `ip:${ipAddress}` },
+];
+
+const isWindowExpired = (throttle, now) => {
+  return (
+    now - throttle.lastFailureAt.getTime() >
+    LOGIN_LIMITS.failureWindowMinutes * MINUTE_MS
+  );
+};
+
+// Seconds until the key may try again
+const secondsToWait = (throttle, now) => {
+  if (throttle.lockedUntil && throttle.lockedUntil.getTime() > now) {
+    return Math.ceil((throttle.lockedUntil.getTime() - now) / 1000);
+  }
+
+  const excess = throttle.failures - LOGIN_LIMITS.freeAttempts;
+  if (excess <= 0 || isWindowExpired(throttle, now)) {
+    return 0;
+  }
+
+  const delaySeconds = Math.min(
+    2 ** (excess - 1),
+    LOGIN_LIMITS.maxDelaySeconds
+  );
+  const readyAt = throttle.lastFailureAt.getTime() + delaySeconds * 1000;
+  return Math.max(0, Math.ceil((readyAt - now) / 1000));
+};
+
+const getLoginWait = async (email, ipAddress) => {
+  const throttles = await prisma.loginThrottle.findMany({
+    where: {
+      key: { in: throttleKeys(email, ipAddress).map(({ key }) => key) },
+    },
+  });
+
+  const now = Date.now();
+  const waits = throttles.map((throttle) => secondsToWait(throttle, now));
+  return Math.max(0, ...waits);
+};
+
+const tooManyAttempts = (res, retryAfterSeconds) => {
+  res.set("Retry-After", String(retryAfterSeconds));
+  return res.status(429).json({
+    message: "Too many failed login attempts. Please try again later.",
+    retryAfterSeconds,
+  });
+};
+
+// Rejects a login while the account or IP is delayed or locked
+const loginGuard = async (req, res, next) => {
+  const email = req.body?.email;
+  if (typeof email !== "string") {
+    return next();
+  }
+
+  try {
+    const wait = await getLoginWait(email, req.ip);
+    if (wait > 0) {
+      return tooManyAttempts(res, wait);
+    }
+
+    next();
+  } catch (error) {
+    console.error("Login guard error:", error);
+    res.status(500).json({ message: "Server error during login." });
+  }
+};
+
+// Count a failure against the account and IP keys. The counter is bumped
+// in a single statement, restarting it when the window has passed, and the
+// lock is decided from the value that statement returns, so parallel
+// failures cannot overwrite each other's counts.
+const recordLoginFailure = async (req, email, user = null) => {
+  const now = new Date();
+  const windowStart = new Date(
+    now.getTime() - LOGIN_LIMITS.failureWindowMinutes * MINUTE_MS
+  );
+
+  for (const { scope, key } of throttleKeys(email, req.ip)) {
+    const [{ failures }] = await prisma.$queryRaw`
+      INSERT INTO "LoginThrottle" ("key", "failures", "lastFailureAt")
+      VALUES (${key}, 1, (${now}::timestamptz AT TIME ZONE 'UTC'))
+      ON CONFLICT ("key") DO UPDATE SET
+        "failures" = CASE
+          WHEN "LoginThrottle"."lastFailureAt" <
+            (${windowStart}::timestamptz AT TIME ZONE 'UTC') THEN 1
+          ELSE "LoginThrottle"."failures" + 1
+        END,
+        "lastFailureAt" = EXCLUDED."lastFailureAt"
+      RETURNING "failures"`;
+
+    if (failures < LOGIN_LIMITS.thresholds[scope]) {
+      continue;
+    }
+
+    const lockedUntil = new Date(
+      now.getTime() + LOGIN_LIMITS.lockMinutes * MINUTE_MS
+    );
+    await prisma.loginThrottle.update({
+      where: { key },
+      data: { lockedUntil },
+    });
+
+    await prisma.lockoutEvent.create({
+      data: {
+        scope,
+        email: email.toLowerCase(),
+        userId: scope === "ACCOUNT" ? user?.id : null,
+        ipAddress: req.ip,
+        failures,
+        lockedUntil,
+      },
+    });
+  }
+};
+
+// A successful login clears the account counter. The IP counter is kept so
+// an attacker cannot reset it by logging into their own account.
+const clearLoginFailures = async (email) => {
+  await prisma.loginThrottle.deleteMany({
+    where: { key: `account:${email.toLowerCase()}` },
+  });
+};
+
+module.exports = {
+  apiLimiter,
+  registerLimiter,
+  accountRecoveryLimiter,
+  loginGuard,
+  getLoginWait,
+  tooManyAttempts,
+  recordLoginFailure,
+  clearLoginFailures,
+};
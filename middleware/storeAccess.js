@@ -0,0 +1,31 @@
+const prisma = require("../config/prismaClient");
+
+// Loads the store from req.params.id into req.store, for routes that only
+// its owner or an admin may use. Runs after verifyToken.
+const loadEditableStore = async (req, res, next) => {
+  const storeId = parseInt(req.params.id);
+  if (isNaN(storeId)) {
+    return res.status(400).json({ message: "Invalid store ID" });
+  }
+
+  try {
+    const store = await prisma.store.findUnique({ where: { id: storeId } });
+    if (!store) {
+      return res.status(404).json({ message: "Store not found" });
+    }
+
+    if (req.user.role !== "ADMIN" && store.ownerId !== req.user.id) {
+      return res
+        .status(403)
+        .json({ message: "You can only manage your own stores" });
+    }
+
+    req.store = store;
+    next();
+  } catch (error) {
+    console.error("Load store error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+module.exports = { loadEditableStore };
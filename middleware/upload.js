@@ -0,0 +1,55 @@
+const multer = require("multer");
+const { IMAGE_LIMITS, IMAGE_FORMATS } = require("../services/image.service");
+
+const ALLOWED_MIME_TYPES = Object.values(IMAGE_FORMATS);
+
+// Files are kept in memory; the controller decodes and stores them
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: IMAGE_LIMITS.maxFileSizeMb * 1024 * 1024,
+    files: IMAGE_LIMITS.maxFilesPerUpload,
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      const error = new multer.MulterError("LIMIT_UNEXPECTED_FILE");
+      error.message = "Only JPEG, PNG and WebP images are allowed";
+      return cb(error);
+    }
+    cb(null, true);
+  },
+});
+
+const uploadErrorMessage = (error) => {
+  switch (error.code) {
+    case "LIMIT_FILE_SIZE":
+      return `Each image must be at most ${IMAGE_LIMITS.maxFileSizeMb} MB`;
+    case "LIMIT_FILE_COUNT":
+      return `At most ${IMAGE_LIMITS.maxFilesPerUpload} images per upload`;
+    default:
+      return error.message;
+  }
+};
+
+// Run a multer middleware and answer upload errors with a 400
+const handleUpload = (middleware) => (req, res, next) => {
+  middleware(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ message: uploadErrorMessage(error) });
+    }
+
+    console.error("Upload error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  });
+};
+
+const uploadLogo = handleUpload(imageUpload.single("logo"));
+const uploadGalleryImages = handleUpload(
+  imageUpload.array("images", IMAGE_LIMITS.maxFilesPerUpload)
+);
+
+module.exports = { uploadLogo, uploadGalleryImages };
@@ -1,4 +1,17 @@
 const jwt = require("jsonwebtoken");
+const prisma = require("../config/prismaClient");
+const { verifyChallengeToken } = require("../services/token.service");
+
+const authUserSelect = {
+  id: true,
+  email: true,
+  name: true,
+  role: true,
+  emailVerifiedAt: true,
+};
+
+// Only touch Session.lastSeenAt once per minute per session
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
 
 const verifyToken = async (req, res, next) => {
   const token = req.headers.authorization?.split(" ")[1]; // Bearer <token>
@@ -8,12 +21,33 @@ const verifyToken = async (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
+
+    // Challenge tokens from an unfinished login are not access tokens
+    if (decoded.purpose) {
+      return res.status(401).json({ message: "Invalid token." });
+    }
+
+    // Reject tokens whose session has been revoked (logout, token reuse)
+    const session = await prisma.session.findUnique({
+      where: { id: decoded.sid },
+      select: { userId: true, revokedAt: true, lastSeenAt: true },
+    });
+
+    if (!session || session.revokedAt || session.userId !== decoded.id) {
+      return res.status(401).json({ message: "Token has been revoked." });
+    }
+
+    if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_INTERVAL_MS) {
+      await prisma.session.update({
+        where: { id: decoded.sid },
+        data: { lastSeenAt: new Date() },
+      });
+    }
 
     // Fetch user from database to ensure user still exists
     const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
-      select: { id: true, email: true, name: true, role: true },
+      where: { id: decoded.id },
+      select: authUserSelect,
     });
 
     if (!user) {
@@ -21,6 +55,37 @@ const verifyToken = async (req, res, next) => {
     }
 
     req.user = user;
+    req.sessionId = decoded.sid;
+    next();
+  } catch (error) {
+    return res.status(401).json({ message: "Invalid token." });
+  }
+};
+
+// 2FA enrollment also accepts the "2fa_setup" challenge that login hands to
+// users whose role requires 2FA but who have not enrolled yet
+const verifyTokenOrSetupChallenge = async (req, res, next) => {
+  if (!req.body?.challengeToken) {
+    return verifyToken(req, res, next);
+  }
+
+  try {
+    const decoded = verifyChallengeToken(req.body.challengeToken, "2fa_setup");
+    if (!decoded) {
+      return res.status(401).json({ message: "Invalid token." });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: decoded.id },
+      select: authUserSelect,
+    });
+
+    if (!user) {
+      return res.status(401).json({ message: "User not found" });
+    }
+
+    req.user = user;
+    req.twoFactorSetupChallenge = true;
     next();
   } catch (error) {
     return res.status(401).json({ message: "Invalid token." });
@@ -41,4 +106,23 @@ const requireRole = (roles) => {
   };
 };
 
-module.exports = { verifyToken, requireRole };
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ message: "Authentication required" });
+  }
+
+  if (!req.user.emailVerifiedAt) {
+    return res
+      .status(403)
+      .json({ message: "Please verify your email address first" });
+  }
+
+  next();
+};
+
+module.exports = {
+  verifyToken,
+  verifyTokenOrSetupChallenge,
+  requireRole,
+  requireVerifiedEmail,
+};
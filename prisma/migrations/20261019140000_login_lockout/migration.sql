@@ -0,0 +1,40 @@
+-- CreateEnum
+CREATE TYPE "LockoutScope" AS ENUM ('ACCOUNT', 'IP');
+
+-- CreateTable
+CREATE TABLE "LoginThrottle" (
+    "key" TEXT NOT NULL,
+    "failures" INTEGER NOT NULL DEFAULT 0,
+    "lastFailureAt" TIMESTAMP(3) NOT NULL,
+    "lockedUntil" TIMESTAMP(3),
+
+    CONSTRAINT "LoginThrottle_pkey" PRIMARY KEY ("key")
+);
+
+-- CreateTable
+CREATE TABLE "LockoutEvent" (
+    "id" SERIAL NOT NULL,
+    "scope" "LockoutScope" NOT NULL,
+    "email" TEXT,
+    "userId" INTEGER,
+    "ipAddress" TEXT NOT NULL,
+    "failures" INTEGER NOT NULL,
+    "lockedUntil" TIMESTAMP(3) NOT NULL,
+    "unlockedAt" TIMESTAMP(3),
+    "unlockedById" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "LockoutEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "LockoutEvent_userId_idx" ON "LockoutEvent"("userId");
+
+-- CreateIndex
+CREATE INDEX "LockoutEvent_createdAt_idx" ON "LockoutEvent"("createdAt");
+
+-- AddForeignKey
+ALTER TABLE "LockoutEvent" ADD CONSTRAINT "LockoutEvent_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LockoutEvent" ADD CONSTRAINT "LockoutEvent_unlockedById_fkey" FOREIGN KEY ("unlockedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
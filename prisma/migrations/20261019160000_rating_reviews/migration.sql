@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Rating" ADD COLUMN     "comment" TEXT,
+ADD COLUMN     "title" TEXT;
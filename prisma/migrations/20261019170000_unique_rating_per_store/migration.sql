@@ -0,0 +1,13 @@
+-- Remove duplicate ratings, keeping the latest one per user and store
+-- (newest createdAt, highest id on a tie)
+DELETE FROM "Rating" AS "older"
+USING "Rating" AS "newer"
+WHERE "older"."userId" = "newer"."userId"
+  AND "older"."storeId" = "newer"."storeId"
+  AND (
+    "older"."createdAt" < "newer"."createdAt"
+    OR ("older"."createdAt" = "newer"."createdAt" AND "older"."id" < "newer"."id")
+  );
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Rating_userId_storeId_key" ON "Rating"("userId", "storeId");
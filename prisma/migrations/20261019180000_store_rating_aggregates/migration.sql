@@ -0,0 +1,37 @@
+-- AlterTable
+ALTER TABLE "Store" ADD COLUMN     "averageRating" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "rating1Count" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "rating2Count" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "rating3Count" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "rating4Count" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "rating5Count" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "ratingCount" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "ratingSum" INTEGER NOT NULL DEFAULT 0;
+
+-- Backfill the aggregates from existing ratings
+UPDATE "Store" AS s
+SET "ratingCount" = agg."count",
+    "ratingSum" = agg."sum",
+    "averageRating" = agg."average",
+    "rating1Count" = agg."c1",
+    "rating2Count" = agg."c2",
+    "rating3Count" = agg."c3",
+    "rating4Count" = agg."c4",
+    "rating5Count" = agg."c5"
+FROM (
+  SELECT r."storeId",
+    COUNT(*)::int AS "count",
+    SUM(r."rating")::int AS "sum",
+    SUM(r."rating")::double precision / COUNT(*) AS "average",
+    COUNT(*) FILTER (WHERE r."rating" = 1)::int AS "c1",
+    COUNT(*) FILTER (WHERE r."rating" = 2)::int AS "c2",
+    COUNT(*) FILTER (WHERE r."rating" = 3)::int AS "c3",
+    COUNT(*) FILTER (WHERE r."rating" = 4)::int AS "c4",
+    COUNT(*) FILTER (WHERE r."rating" = 5)::int AS "c5"
+  FROM "Rating" AS r
+  GROUP BY r."storeId"
+) AS agg
+WHERE s."id" = agg."storeId";
+
+-- CreateIndex
+CREATE INDEX "Store_averageRating_idx" ON "Store"("averageRating");
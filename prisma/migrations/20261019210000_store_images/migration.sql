@@ -0,0 +1,24 @@
+-- CreateEnum
+CREATE TYPE "StoreImageKind" AS ENUM ('LOGO', 'GALLERY');
+
+-- CreateTable
+CREATE TABLE "StoreImage" (
+    "id" SERIAL NOT NULL,
+    "storeId" INTEGER NOT NULL,
+    "kind" "StoreImageKind" NOT NULL,
+    "storageKey" TEXT NOT NULL,
+    "thumbnailKey" TEXT NOT NULL,
+    "mimeType" TEXT NOT NULL,
+    "size" INTEGER NOT NULL,
+    "width" INTEGER NOT NULL,
+    "height" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "StoreImage_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "StoreImage_storeId_kind_idx" ON "StoreImage"("storeId", "kind");
+
+-- AddForeignKey
+ALTER TABLE "StoreImage" ADD CONSTRAINT "StoreImage_storeId_fkey" FOREIGN KEY ("storeId") REFERENCES "Store"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,37 @@
+-- AlterTable
+ALTER TABLE "Store" ADD COLUMN     "timezone" TEXT NOT NULL DEFAULT 'UTC';
+
+-- CreateTable
+CREATE TABLE "StoreOpeningHours" (
+    "id" SERIAL NOT NULL,
+    "storeId" INTEGER NOT NULL,
+    "dayOfWeek" INTEGER NOT NULL,
+    "opensAt" INTEGER NOT NULL,
+    "closesAt" INTEGER NOT NULL,
+
+    CONSTRAINT "StoreOpeningHours_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "StoreHoursOverride" (
+    "id" SERIAL NOT NULL,
+    "storeId" INTEGER NOT NULL,
+    "date" DATE NOT NULL,
+    "opensAt" INTEGER,
+    "closesAt" INTEGER,
+    "note" TEXT,
+
+    CONSTRAINT "StoreHoursOverride_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "StoreOpeningHours_storeId_dayOfWeek_idx" ON "StoreOpeningHours"("storeId", "dayOfWeek");
+
+-- CreateIndex
+CREATE INDEX "StoreHoursOverride_storeId_date_idx" ON "StoreHoursOverride"("storeId", "date");
+
+-- AddForeignKey
+ALTER TABLE "StoreOpeningHours" ADD CONSTRAINT "StoreOpeningHours_storeId_fkey" FOREIGN KEY ("storeId") REFERENCES "Store"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StoreHoursOverride" ADD CONSTRAINT "StoreHoursOverride_storeId_fkey" FOREIGN KEY ("storeId") REFERENCES "Store"("id") ON DELETE CASCADE ON UPDATE CASCADE;
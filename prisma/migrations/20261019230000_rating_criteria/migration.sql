@@ -0,0 +1,40 @@
+-- CreateTable
+CREATE TABLE "RatingCriterion" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "slug" TEXT NOT NULL,
+    "description" TEXT,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "RatingCriterion_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "RatingCriterionScore" (
+    "id" SERIAL NOT NULL,
+    "ratingId" INTEGER NOT NULL,
+    "criterionId" INTEGER NOT NULL,
+    "score" INTEGER NOT NULL,
+
+    CONSTRAINT "RatingCriterionScore_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "RatingCriterion_name_key" ON "RatingCriterion"("name");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "RatingCriterion_slug_key" ON "RatingCriterion"("slug");
+
+-- CreateIndex
+CREATE INDEX "RatingCriterionScore_criterionId_idx" ON "RatingCriterionScore"("criterionId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "RatingCriterionScore_ratingId_criterionId_key" ON "RatingCriterionScore"("ratingId", "criterionId");
+
+-- AddForeignKey
+ALTER TABLE "RatingCriterionScore" ADD CONSTRAINT "RatingCriterionScore_ratingId_fkey" FOREIGN KEY ("ratingId") REFERENCES "Rating"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RatingCriterionScore" ADD CONSTRAINT "RatingCriterionScore_criterionId_fkey" FOREIGN KEY ("criterionId") REFERENCES "RatingCriterion"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,37 @@
+-- CreateEnum
+CREATE TYPE "RatingStatus" AS ENUM ('VISIBLE', 'HIDDEN', 'PENDING');
+
+-- CreateEnum
+CREATE TYPE "ReportReason" AS ENUM ('SPAM', 'OFFENSIVE', 'FAKE', 'CONFLICT_OF_INTEREST', 'OTHER');
+
+-- AlterTable
+ALTER TABLE "Rating" ADD COLUMN     "moderatedAt" TIMESTAMP(3),
+ADD COLUMN     "status" "RatingStatus" NOT NULL DEFAULT 'VISIBLE';
+
+-- CreateTable
+CREATE TABLE "RatingReport" (
+    "id" SERIAL NOT NULL,
+    "ratingId" INTEGER NOT NULL,
+    "reporterId" INTEGER NOT NULL,
+    "reason" "ReportReason" NOT NULL,
+    "details" TEXT,
+    "resolvedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "RatingReport_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Rating_storeId_status_idx" ON "Rating"("storeId", "status");
+
+-- CreateIndex
+CREATE INDEX "RatingReport_ratingId_resolvedAt_idx" ON "RatingReport"("ratingId", "resolvedAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "RatingReport_ratingId_reporterId_key" ON "RatingReport"("ratingId", "reporterId");
+
+-- AddForeignKey
+ALTER TABLE "RatingReport" ADD CONSTRAINT "RatingReport_ratingId_fkey" FOREIGN KEY ("ratingId") REFERENCES "Rating"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RatingReport" ADD CONSTRAINT "RatingReport_reporterId_fkey" FOREIGN KEY ("reporterId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,54 @@
+-- CreateEnum
+CREATE TYPE "FraudRule" AS ENUM ('USER_VELOCITY', 'STORE_VELOCITY', 'NEW_ACCOUNT_BURST', 'SHARED_IP', 'SHARED_DEVICE');
+
+-- CreateTable
+CREATE TABLE "RatingWrite" (
+    "id" SERIAL NOT NULL,
+    "ratingId" INTEGER,
+    "userId" INTEGER NOT NULL,
+    "storeId" INTEGER NOT NULL,
+    "ipAddress" TEXT,
+    "deviceId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "RatingWrite_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "RatingFlag" (
+    "id" SERIAL NOT NULL,
+    "ratingId" INTEGER NOT NULL,
+    "rule" "FraudRule" NOT NULL,
+    "details" JSONB,
+    "resolvedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "RatingFlag_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "RatingWrite_userId_createdAt_idx" ON "RatingWrite"("userId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "RatingWrite_storeId_createdAt_idx" ON "RatingWrite"("storeId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "RatingWrite_storeId_ipAddress_idx" ON "RatingWrite"("storeId", "ipAddress");
+
+-- CreateIndex
+CREATE INDEX "RatingWrite_deviceId_idx" ON "RatingWrite"("deviceId");
+
+-- CreateIndex
+CREATE INDEX "RatingFlag_ratingId_resolvedAt_idx" ON "RatingFlag"("ratingId", "resolvedAt");
+
+-- AddForeignKey
+ALTER TABLE "RatingWrite" ADD CONSTRAINT "RatingWrite_ratingId_fkey" FOREIGN KEY ("ratingId") REFERENCES "Rating"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RatingWrite" ADD CONSTRAINT "RatingWrite_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RatingWrite" ADD CONSTRAINT "RatingWrite_storeId_fkey" FOREIGN KEY ("storeId") REFERENCES "Store"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RatingFlag" ADD CONSTRAINT "RatingFlag_ratingId_fkey" FOREIGN KEY ("ratingId") REFERENCES "Rating"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,26 @@
+-- AlterTable
+ALTER TABLE "Rating" ADD COLUMN     "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- Existing ratings have no recorded edits
+UPDATE "Rating" SET "updatedAt" = "createdAt";
+
+-- CreateTable
+CREATE TABLE "RatingRevision" (
+    "id" SERIAL NOT NULL,
+    "ratingId" INTEGER NOT NULL,
+    "actorId" INTEGER,
+    "previous" JSONB NOT NULL,
+    "current" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "RatingRevision_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "RatingRevision_ratingId_createdAt_idx" ON "RatingRevision"("ratingId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "RatingRevision" ADD CONSTRAINT "RatingRevision_ratingId_fkey" FOREIGN KEY ("ratingId") REFERENCES "Rating"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RatingRevision" ADD CONSTRAINT "RatingRevision_actorId_fkey" FOREIGN KEY ("actorId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
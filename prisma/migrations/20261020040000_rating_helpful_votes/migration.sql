@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE "Rating" ADD COLUMN     "helpfulCount" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "notHelpfulCount" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "RatingVote" (
+    "id" SERIAL NOT NULL,
+    "ratingId" INTEGER NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "helpful" BOOLEAN NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "RatingVote_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "RatingVote_userId_idx" ON "RatingVote"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "RatingVote_ratingId_userId_key" ON "RatingVote"("ratingId", "userId");
+
+-- AddForeignKey
+ALTER TABLE "RatingVote" ADD CONSTRAINT "RatingVote_ratingId_fkey" FOREIGN KEY ("ratingId") REFERENCES "Rating"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RatingVote" ADD CONSTRAINT "RatingVote_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
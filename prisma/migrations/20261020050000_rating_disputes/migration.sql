@@ -0,0 +1,71 @@
+-- CreateEnum
+CREATE TYPE "DisputeStatus" AS ENUM ('OPEN', 'ACCEPTED', 'REJECTED');
+
+-- CreateEnum
+CREATE TYPE "DisputeEventType" AS ENUM ('FILED', 'ACCEPTED', 'REJECTED');
+
+-- AlterEnum
+-- This migration adds more than one value to an enum.
+-- With PostgreSQL versions 11 and earlier, this is not possible
+-- in a single migration. This can be worked around by creating
+-- multiple migrations, each migration adding only one value to
+-- the enum.
+
+
+ALTER TYPE "NotificationType" ADD VALUE 'DISPUTE_FILED';
+ALTER TYPE "NotificationType" ADD VALUE 'DISPUTE_RESOLVED';
+
+-- CreateTable
+CREATE TABLE "RatingDispute" (
+    "id" SERIAL NOT NULL,
+    "ratingId" INTEGER NOT NULL,
+    "ownerId" INTEGER NOT NULL,
+    "reason" "ReportReason" NOT NULL,
+    "evidence" TEXT NOT NULL,
+    "status" "DisputeStatus" NOT NULL DEFAULT 'OPEN',
+    "resolutionNote" TEXT,
+    "resolvedById" INTEGER,
+    "resolvedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "RatingDispute_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "RatingDisputeEvent" (
+    "id" SERIAL NOT NULL,
+    "disputeId" INTEGER NOT NULL,
+    "type" "DisputeEventType" NOT NULL,
+    "actorId" INTEGER,
+    "note" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "RatingDisputeEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "RatingDispute_ratingId_status_idx" ON "RatingDispute"("ratingId", "status");
+
+-- CreateIndex
+CREATE INDEX "RatingDispute_ownerId_idx" ON "RatingDispute"("ownerId");
+
+-- CreateIndex
+CREATE INDEX "RatingDispute_status_createdAt_idx" ON "RatingDispute"("status", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "RatingDisputeEvent_disputeId_createdAt_idx" ON "RatingDisputeEvent"("disputeId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "RatingDispute" ADD CONSTRAINT "RatingDispute_ratingId_fkey" FOREIGN KEY ("ratingId") REFERENCES "Rating"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RatingDispute" ADD CONSTRAINT "RatingDispute_ownerId_fkey" FOREIGN KEY ("ownerId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RatingDispute" ADD CONSTRAINT "RatingDispute_resolvedById_fkey" FOREIGN KEY ("resolvedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RatingDisputeEvent" ADD CONSTRAINT "RatingDisputeEvent_disputeId_fkey" FOREIGN KEY ("disputeId") REFERENCES "RatingDispute"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RatingDisputeEvent" ADD CONSTRAINT "RatingDisputeEvent_actorId_fkey" FOREIGN KEY ("actorId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,3 @@
+-- CreateIndex
+-- Partial unique index, not expressible in schema.prisma
+CREATE UNIQUE INDEX "RatingDispute_ratingId_open_key" ON "RatingDispute"("ratingId") WHERE "status" = 'OPEN';
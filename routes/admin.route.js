@@ -0,0 +1,93 @@
+const express = require("express");
+const { verifyToken, requireRole } = require("../middleware/verifyToken");
+const {
+  createUser,
+  getAllUsers,
+  getUserById,
+  updateUser,
+  deleteUserByAdmin,
+  getAllStoresForAdmin,
+  createStoreByAdmin,
+  updateStoreByAdmin,
+  deleteStoreByAdmin,
+  getAllRatingsForAdmin,
+  deleteRatingByAdmin,
+  getRolePolicies,
+  updateRolePolicy,
+  unlockUser,
+  getLockoutEvents,
+  createInvitation,
+  getInvitations,
+  revokeInvitation,
+  recomputeRatingStats,
+} = require("../controllers/admin.controller");
+const {
+  createCategory,
+  updateCategory,
+  deleteCategory,
+} = require("../controllers/category.controller");
+const {
+  getRatingCriteriaForAdmin,
+  createRatingCriterion,
+  updateRatingCriterion,
+  deleteRatingCriterion,
+} = require("../controllers/ratingCriterion.controller");
+const {
+  getModerationQueue,
+  approveRating,
+  hideRating,
+} = require("../controllers/moderation.controller");
+const {
+  getDisputesForAdmin,
+  acceptDispute,
+  rejectDispute,
+} = require("../controllers/dispute.controller");
+const adminRouter = express.Router();
+
+// Every admin route requires an authenticated ADMIN
+adminRouter.use(verifyToken, requireRole(["ADMIN"]));
+
+adminRouter.get("/users", getAllUsers);
+adminRouter.get("/users/:id", getUserById);
+adminRouter.post("/users", createUser);
+adminRouter.put("/users/:id", updateUser);
+adminRouter.delete("/users/:id", deleteUserByAdmin);
+adminRouter.post("/users/:id/unlock", unlockUser);
+
+adminRouter.get("/stores", getAllStoresForAdmin);
+adminRouter.post("/stores", createStoreByAdmin);
+adminRouter.post("/stores/recompute-ratings", recomputeRatingStats);
+adminRouter.put("/stores/:id", updateStoreByAdmin);
+adminRouter.delete("/stores/:id", deleteStoreByAdmin);
+
+adminRouter.post("/categories", createCategory);
+adminRouter.put("/categories/:id", updateCategory);
+adminRouter.delete("/categories/:id", deleteCategory);
+
+adminRouter.get("/rating-criteria", getRatingCriteriaForAdmin);
+adminRouter.post("/rating-criteria", createRatingCriterion);
+adminRouter.put("/rating-criteria/:id", updateRatingCriterion);
+adminRouter.delete("/rating-criteria/:id", deleteRatingCriterion);
+
+adminRouter.get("/ratings", getAllRatingsForAdmin);
+adminRouter.delete("/ratings/:id", deleteRatingByAdmin);
+
+adminRouter.get("/moderation/ratings", getModerationQueue);
+adminRouter.post("/moderation/ratings/:id/approve", approveRating);
+adminRouter.post("/moderation/ratings/:id/hide", hideRating);
+adminRouter.delete("/moderation/ratings/:id", deleteRatingByAdmin);
+
+adminRouter.get("/disputes", getDisputesForAdmin);
+adminRouter.post("/disputes/:id/accept", acceptDispute);
+adminRouter.post("/disputes/:id/reject", rejectDispute);
+
+adminRouter.get("/roles/policies", getRolePolicies);
+adminRouter.put("/roles/:role/policy", updateRolePolicy);
+
+adminRouter.get("/invitations", getInvitations);
+adminRouter.post("/invitations", createInvitation);
+adminRouter.delete("/invitations/:id", revokeInvitation);
+
+adminRouter.get("/security/lockouts", getLockoutEvents);
+
+module.exports = adminRouter;
@@ -1,8 +1,52 @@
 const express = require("express");
-const { registerUser, loginUser } = require("../controllers/auth.controller");
+const {
+  verifyToken,
+  verifyTokenOrSetupChallenge,
+} = require("../middleware/verifyToken");
+const {
+  registerLimiter,
+  accountRecoveryLimiter,
+  loginGuard,
+} = require("../middleware/rateLimit");
+const {
+  registerUser,
+  acceptInvitation,
+  loginUser,
+  loginWithTwoFactor,
+  refreshAccessToken,
+  logoutUser,
+  changePassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} = require("../controllers/auth.controller");
 const authRouter = express.Router();
 
-authRouter.post("/register", registerUser);
-authRouter.post("/login", loginUser);
+authRouter.post("/register", registerLimiter, registerUser);
+authRouter.post("/accept-invite", registerLimiter, acceptInvitation);
+authRouter.post("/login", loginGuard, loginUser);
+authRouter.post("/login/2fa", loginWithTwoFactor);
+authRouter.post("/refresh", refreshAccessToken);
+authRouter.post("/logout", verifyToken, logoutUser);
+authRouter.put("/change-password", verifyToken, changePassword);
+authRouter.post("/forgot-password", accountRecoveryLimiter, forgotPassword);
+authRouter.post("/reset-password", accountRecoveryLimiter, resetPassword);
+authRouter.post("/verify-email", verifyEmail);
+authRouter.post(
+  "/resend-verification",
+  accountRecoveryLimiter,
+  verifyToken,
+  resendVerificationEmail
+);
+
+authRouter.post("/2fa/setup", verifyTokenOrSetupChallenge, setupTwoFactor);
+authRouter.post("/2fa/confirm", verifyTokenOrSetupChallenge, confirmTwoFactor);
+authRouter.post("/2fa/disable", verifyToken, disableTwoFactor);
+authRouter.post("/2fa/recovery-codes", verifyToken, regenerateRecoveryCodes);
 
 module.exports = authRouter;
@@ -0,0 +1,11 @@
+const express = require("express");
+const {
+  getCategories,
+  getCategoryLeaderboard,
+} = require("../controllers/category.controller");
+const categoryRouter = express.Router();
+
+categoryRouter.get("/", getCategories);
+categoryRouter.get("/:slug/leaderboard", getCategoryLeaderboard);
+
+module.exports = categoryRouter;
@@ -1,20 +1,47 @@
 const express = require("express");
-const { verifyToken } = require("../middleware/verifyToken");
+const {
+  verifyToken,
+  requireVerifiedEmail,
+} = require("../middleware/verifyToken");
 const {
   createRating,
   getUserRatingOfSpesificStore,
   getAllRating,
   updateRating,
   deleteRating,
+  upsertRatingReply,
+  deleteRatingReply,
+  reportRating,
+  getRatingHistory,
+  voteRating,
+  deleteRatingVote,
 } = require("../controllers/rating.controller");
 const { getUserRating } = require("../controllers/user.controller");
+const {
+  getRatingCriteria,
+} = require("../controllers/ratingCriterion.controller");
+const {
+  fileDispute,
+  getMyDisputes,
+  getDispute,
+} = require("../controllers/dispute.controller");
 const ratingRouter = express.Router();
 
-ratingRouter.post("/", verifyToken, createRating);
-ratingRouter.get("/store:storeId", verifyToken, getUserRatingOfSpesificStore);
+ratingRouter.post("/", verifyToken, requireVerifiedEmail, createRating);
+ratingRouter.get("/criteria", getRatingCriteria);
+ratingRouter.get("/store/:storeId", verifyToken, getUserRatingOfSpesificStore);
 ratingRouter.get("/store/:storeId/all", verifyToken, getAllRating);
 ratingRouter.put("/:id", verifyToken, updateRating);
 ratingRouter.get("/my-ratings", verifyToken, getUserRating);
 ratingRouter.delete("/:id", verifyToken, deleteRating);
+ratingRouter.put("/:id/reply", verifyToken, upsertRatingReply);
+ratingRouter.delete("/:id/reply", verifyToken, deleteRatingReply);
+ratingRouter.post("/:id/report", verifyToken, reportRating);
+ratingRouter.get("/:id/history", verifyToken, getRatingHistory);
+ratingRouter.put("/:id/vote", verifyToken, voteRating);
+ratingRouter.delete("/:id/vote", verifyToken, deleteRatingVote);
+ratingRouter.post("/:id/dispute", verifyToken, fileDispute);
+ratingRouter.get("/disputes", verifyToken, getMyDisputes);
+ratingRouter.get("/disputes/:id", verifyToken, getDispute);
 
 module.exports = ratingRouter;
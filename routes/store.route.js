@@ -1,18 +1,68 @@
 const express = require("express");
-const { verifyToken } = require("../middleware/verifyToken");
+const {
+  verifyToken,
+  requireVerifiedEmail,
+} = require("../middleware/verifyToken");
 const {
   getAllStores,
+  getTopRatedStores,
+  getNearbyStores,
+  getStoreSummary,
   createNewStore,
   updateNewStore,
   deleteStore,
   getCommonLength,
 } = require("../controllers/store.controller");
+const {
+  uploadStoreLogo,
+  deleteStoreLogo,
+  uploadStoreImages,
+  deleteStoreImage,
+} = require("../controllers/storeImage.controller");
+const {
+  getStoreHours,
+  updateStoreHours,
+  setHoursOverride,
+  deleteHoursOverride,
+} = require("../controllers/storeHours.controller");
+const { uploadLogo, uploadGalleryImages } = require("../middleware/upload");
+const { loadEditableStore } = require("../middleware/storeAccess");
 const storeRouter = express.Router();
 
 storeRouter.get("/", getAllStores);
 storeRouter.get("/common-length", getCommonLength);
-storeRouter.post("/create-store", createNewStore);
+storeRouter.get("/top", getTopRatedStores);
+storeRouter.get("/nearby", getNearbyStores);
+storeRouter.get("/:id/summary", getStoreSummary);
+storeRouter.get("/:id/hours", getStoreHours);
+storeRouter.post(
+  "/create-store",
+  verifyToken,
+  requireVerifiedEmail,
+  createNewStore
+);
 storeRouter.put("/:id", verifyToken, updateNewStore);
 storeRouter.delete("/:id", verifyToken, deleteStore);
 
+// Only the store owner or an admin; images are multipart/form-data uploads
+const storeManager = [verifyToken, loadEditableStore];
+
+storeRouter.put("/:id/logo", storeManager, uploadLogo, uploadStoreLogo);
+storeRouter.delete("/:id/logo", storeManager, deleteStoreLogo);
+storeRouter.post(
+  "/:id/images",
+  storeManager,
+  uploadGalleryImages,
+  uploadStoreImages
+);
+storeRouter.delete("/:id/images/:imageId", storeManager, deleteStoreImage);
+
+storeRouter.put("/:id/hours", storeManager, updateStoreHours);
+storeRouter.put("/:id/hours/overrides/:date", storeManager, setHoursOverride);
+storeRouter.delete(
+  "/:id/hours/overrides/:date",
+  storeManager,
+  deleteHoursOverride
+);
+
 module.exports = storeRouter;
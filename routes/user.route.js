@@ -5,19 +5,32 @@ const {
   updateProfile,
   userStatistic,
   getStores,
-  getAllUsers,
   getUserRating,
+  getSessions,
+  revokeUserSession,
+  revokeOtherSessions,
 } = require("../controllers/user.controller");
-const { createUser } = require("../controllers/admin.controller");
-const { user } = require("../config/prismaClient");
+const {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+} = require("../controllers/notification.controller");
 const userRouter = express.Router();
 
 userRouter.get("/profile", verifyToken, getUserProfile);
-userRouter.get("/all-users", getAllUsers);
-userRouter.post("/create-user", createUser); //TODO: Create the new router for Admin and add this route to it
 userRouter.put("/profile", verifyToken, updateProfile);
 userRouter.get("/stats", verifyToken, userStatistic);
 userRouter.get("/my-stores", verifyToken, getStores);
 userRouter.get("/my-ratings", verifyToken, getUserRating);
+userRouter.get("/sessions", verifyToken, getSessions);
+userRouter.delete("/sessions", verifyToken, revokeOtherSessions);
+userRouter.delete("/sessions/:id", verifyToken, revokeUserSession);
+userRouter.get("/notifications", verifyToken, getNotifications);
+userRouter.put(
+  "/notifications/read-all",
+  verifyToken,
+  markAllNotificationsRead
+);
+userRouter.put("/notifications/:id/read", verifyToken, markNotificationRead);
 
 module.exports = userRouter;
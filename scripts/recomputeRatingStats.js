@@ -0,0 +1,24 @@
+// Rebuild Store rating aggregates from the Rating table.
+// Usage: npm run ratings:recompute [-- <storeId>]
+require("dotenv").config();
+const prisma = require("../config/prismaClient");
+const {
+  recomputeStoreRatingStats,
+} = require("../services/ratingStats.service");
+
+async function main() {
+  const storeId = process.argv[2] ? parseInt(process.argv[2]) : null;
+  if (Number.isNaN(storeId)) {
+    throw new Error(`Invalid store ID: ${process.argv[2]}`);
+  }
+
+  const correctedStores = await recomputeStoreRatingStats(storeId);
+  console.log(`Recomputed rating aggregates, ${correctedStores} corrected`);
+}
+
+main()
+  .catch((error) => {
+    console.error("Recompute rating stats error:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
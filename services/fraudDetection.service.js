@@ -0,0 +1,219 @@
+const net = require("net");
+const { changeRatingStatus } = require("./moderation.service");
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Thresholds for the rules run on every rating write. A rule fires when
+// the count goes above max (or reaches it for burst-style rules).
+const FRAUD_RULES = {
+  // Writes by one user across all stores, and on one store (rating flips)
+  userVelocity: {
+    maxWrites: 10,
+    windowMinutes: 10,
+    maxSameStoreWrites: 3,
+    sameStoreWindowMinutes: 60,
+  },
+  // Writes on one store from everyone
+  storeVelocity: { maxWrites: 30, windowMinutes: 10 },
+  // Ratings on one store from accounts younger than accountAgeDays
+  newAccountBurst: { accountAgeDays: 7, maxRatings: 3, windowHours: 24 },
+  // How far back to look for other accounts on the same IP or device
+  sharedOriginDays: 90,
+};
+
+// Rules about where a rating came from do not change on later edits, so
+// once an admin has reviewed one it is not raised again for that rating
+const ORIGIN_RULES = ["SHARED_IP", "SHARED_DEVICE"];
+
+// Loopback, private and link-local ranges. An address in them is a proxy
+// or a machine on the server's own network, not a client worth comparing.
+const nonPublicAddresses = new net.BlockList();
+[
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16],
+].forEach(([network, prefix]) =>
+  nonPublicAddresses.addSubnet(network, prefix, "ipv4")
+);
+[
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+].forEach(([network, prefix]) =>
+  nonPublicAddresses.addSubnet(network, prefix, "ipv6")
+);
+
+const isPublicAddress = (ipAddress) => {
+  const address = ipAddress.replace(/^::ffff:(?=\d+\.)/, "");
+  const family = net.isIP(address);
+  return family !== 0 && !nonPublicAddresses.check(address, `ipv${family}`);
+};
+
+// Client-supplied device fingerprint, sent as the X-Device-Id header
+const getDeviceId = (req) => {
+  return req.get("x-device-id")?.trim().slice(0, 128) || null;
+};
+
+const ago = (ms) => new Date(Date.now() - ms);
+
+const checkUserVelocity = async (tx, { userId, storeId }) => {
+  const rule = FRAUD_RULES.userVelocity;
+  const writes = await tx.ratingWrite.count({
+    where: { userId, createdAt: { gte: ago(rule.windowMinutes * MINUTE_MS) } },
+  });
+  const sameStoreWrites = await tx.ratingWrite.count({
+    where: {
+      userId,
+      storeId,
+      createdAt: { gte: ago(rule.sameStoreWindowMinutes * MINUTE_MS) },
+    },
+  });
+
+  if (writes > rule.maxWrites || sameStoreWrites > rule.maxSameStoreWrites) {
+    return { writes, sameStoreWrites };
+  }
+  return null;
+};
+
+const checkStoreVelocity = async (tx, { storeId }) => {
+  const rule = FRAUD_RULES.storeVelocity;
+  const writes = await tx.ratingWrite.count({
+    where: {
+      storeId,
+      createdAt: { gte: ago(rule.windowMinutes * MINUTE_MS) },
+    },
+  });
+
+  return writes > rule.maxWrites ? { writes } : null;
+};
+
+const checkNewAccountBurst = async (tx, { userId, storeId }) => {
+  const rule = FRAUD_RULES.newAccountBurst;
+  const newAccountSince = ago(rule.accountAgeDays * DAY_MS);
+
+  const user = await tx.user.findUnique({
+    where: { id: userId },
+    select: { createdAt: true },
+  });
+  if (user.createdAt < newAccountSince) {
+    return null;
+  }
+
+  const ratings = await tx.rating.count({
+    where: {
+      storeId,
+      createdAt: { gte: ago(rule.windowHours * 60 * MINUTE_MS) },
+      user: { createdAt: { gte: newAccountSince } },
+    },
+  });
+
+  return ratings >= rule.maxRatings ? { ratings } : null;
+};
+
+// Other accounts that rated this store from the same IP or device, and
+// whether the store owner has used it
+const checkSharedOrigin = async (tx, field, value, { userId, storeId }) => {
+  if (!value) {
+    return null;
+  }
+
+  const since = ago(FRAUD_RULES.sharedOriginDays * DAY_MS);
+  const others = await tx.ratingWrite.findMany({
+    where: {
+      storeId,
+      [field]: value,
+      userId: { not: userId },
+      createdAt: { gte: since },
+    },
+    distinct: ["userId"],
+    select: { userId: true },
+  });
+
+  const store = await tx.store.findUnique({
+    where: { id: storeId },
+    select: { ownerId: true },
+  });
+  const ownerMatch =
+    field === "ipAddress"
+      ? await tx.session.findFirst({
+          where: { userId: store.ownerId, ipAddress: value },
+          select: { id: true },
+        })
+      : await tx.ratingWrite.findFirst({
+          where: { userId: store.ownerId, deviceId: value },
+          select: { id: true },
+        });
+
+  if (others.length === 0 && !ownerMatch) {
+    return null;
+  }
+  return {
+    otherAccounts: others.map((other) => other.userId),
+    matchesStoreOwner: Boolean(ownerMatch),
+  };
+};
+
+// Log a rating write and run the fraud rules on it, inside the rating's
+// transaction and after the rating is saved. Any new flag moves a visible
+// rating to PENDING so it leaves the aggregates until an admin reviews it.
+// Returns the rules that fired.
+const screenRatingWrite = async (tx, rating, { ipAddress, deviceId }) => {
+  const context = { userId: rating.userId, storeId: rating.storeId };
+
+  await tx.ratingWrite.create({
+    data: { ratingId: rating.id, ...context, ipAddress, deviceId },
+  });
+
+  const results = {
+    USER_VELOCITY: await checkUserVelocity(tx, context),
+    STORE_VELOCITY: await checkStoreVelocity(tx, context),
+    NEW_ACCOUNT_BURST: await checkNewAccountBurst(tx, context),
+    // Without TRUST_PROXY set behind a proxy every client has the proxy's
+    // address, so only public addresses are compared
+    SHARED_IP: await checkSharedOrigin(
+      tx,
+      "ipAddress",
+      ipAddress && isPublicAddress(ipAddress) ? ipAddress : null,
+      context
+    ),
+    SHARED_DEVICE: await checkSharedOrigin(tx, "deviceId", deviceId, context),
+  };
+
+  const previousFlags = await tx.ratingFlag.findMany({
+    where: { ratingId: rating.id },
+    select: { rule: true, resolvedAt: true },
+  });
+  const alreadyFlagged = (rule) =>
+    previousFlags.some(
+      (flag) =>
+        flag.rule === rule &&
+        (flag.resolvedAt === null || ORIGIN_RULES.includes(rule))
+    );
+
+  const fired = Object.entries(results).filter(
+    ([rule, details]) => details && !alreadyFlagged(rule)
+  );
+  if (fired.length === 0) {
+    return [];
+  }
+
+  await tx.ratingFlag.createMany({
+    data: fired.map(([rule, details]) => ({
+      ratingId: rating.id,
+      rule,
+      details,
+    })),
+  });
+
+  if (rating.status === "VISIBLE") {
+    await changeRatingStatus(tx, rating.id, rating.storeId, "PENDING");
+  }
+
+  return fired.map(([rule]) => rule);
+};
+
+module.exports = { FRAUD_RULES, getDeviceId, screenRatingWrite };
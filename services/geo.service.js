@@ -0,0 +1,145 @@
+const crypto = require("crypto");
+const Joi = require("joi");
+const { Prisma } = require("@prisma/client");
+const prisma = require("../config/prismaClient");
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE_LAT = 111.32;
+
+// Store fields shared by the owner and admin store schemas. Both
+// coordinates are given together; null clears them.
+const storeLocationFields = {
+  latitude: Joi.number().min(-90).max(90).allow(null).optional(),
+  longitude: Joi.number().min(-180).max(180).allow(null).optional(),
+};
+
+// Never geocodes; stores only get coordinates their owner sets
+const noneGeocoder = {
+  async geocode() {
+    return null;
+  },
+};
+
+// Offline stub for tests and local development. Derives stable, made-up
+// coordinates from the address text, so the same address always lands in
+// the same place. Not a real location.
+const stubGeocoder = {
+  async geocode(address) {
+    const digest = crypto
+      .createHash("sha256")
+      .update(address.trim().toLowerCase())
+      .digest();
+
+    const fraction = (offset) => digest.readUInt32BE(offset) / 0xffffffff;
+    return {
+      latitude: parseFloat((fraction(0) * 120 - 60).toFixed(6)),
+      longitude: parseFloat((fraction(4) * 360 - 180).toFixed(6)),
+    };
+  },
+};
+
+const geocoders = { none: noneGeocoder, stub: stubGeocoder };
+let activeGeocoder = null;
+
+// Register a geocoder under a name selectable through GEOCODER. A geocoder
+// is any object with an async geocode(address) method that resolves to
+// { latitude, longitude } or null when the address is unknown.
+const registerGeocoder = (name, geocoder) => {
+  geocoders[name] = geocoder;
+};
+
+// Override the geocoder directly, e.g. with the stub in tests
+const setGeocoder = (geocoder) => {
+  activeGeocoder = geocoder;
+};
+
+const getGeocoder = () => {
+  if (activeGeocoder) {
+    return activeGeocoder;
+  }
+
+  const name = process.env.GEOCODER || "none";
+  if (!geocoders[name]) {
+    throw new Error(`Unknown geocoder: ${name}`);
+  }
+
+  return geocoders[name];
+};
+
+// Coordinates to write for a store. Explicit values win; otherwise a new
+// or changed address is geocoded. Returns {} when nothing should change,
+// including when geocoding fails, so the store write still goes through.
+const resolveCoordinates = async (value, previousAddress = null) => {
+  if (value.latitude !== undefined) {
+    return { latitude: value.latitude, longitude: value.longitude };
+  }
+
+  if (!value.address || value.address === previousAddress) {
+    return {};
+  }
+
+  try {
+    const result = await getGeocoder().geocode(value.address);
+    return result
+      ? { latitude: result.latitude, longitude: result.longitude }
+      : {};
+  } catch (error) {
+    console.error("Geocoding error:", error);
+    return {};
+  }
+};
+
+// SQL condition that a Store aliased s is inside a map viewport. A box
+// whose west edge is east of its east edge crosses the antimeridian.
+const boundingBoxCondition = ({ minLat, maxLat, minLng, maxLng }) => {
+  const longitude =
+    minLng <= maxLng
+      ? Prisma.sql`s."longitude" BETWEEN ${minLng} AND ${maxLng}`
+      : Prisma.sql`(s."longitude" >= ${minLng} OR s."longitude" <= ${maxLng})`;
+
+  return Prisma.sql`(s."latitude" BETWEEN ${minLat} AND ${maxLat}
+    AND ${longitude})`;
+};
+
+// Stores within radiusKm of a point, nearest first. A bounding box on the
+// indexed columns narrows the rows before the exact haversine distance.
+const findStoresNear = async (lat, lng, radiusKm, limit) => {
+  const latDelta = radiusKm / KM_PER_DEGREE_LAT;
+  const lngDelta =
+    radiusKm / (KM_PER_DEGREE_LAT * Math.cos((lat * Math.PI) / 180));
+
+  // Skip the longitude prefilter near the poles or across the antimeridian
+  const lngFilter =
+    Number.isFinite(lngDelta) &&
+    lng - lngDelta >= -180 &&
+    lng + lngDelta <= 180
+      ? Prisma.sql`AND s."longitude" BETWEEN ${lng - lngDelta}
+          AND ${lng + lngDelta}`
+      : Prisma.empty;
+
+  return prisma.$queryRaw`
+    SELECT * FROM (
+      SELECT s."id", s."name", s."address", s."latitude", s."longitude",
+        s."averageRating", s."ratingCount",
+        ${EARTH_RADIUS_KM} * 2 * asin(sqrt(
+          power(sin(radians(s."latitude" - ${lat}) / 2), 2) +
+          cos(radians(${lat})) * cos(radians(s."latitude")) *
+          power(sin(radians(s."longitude" - ${lng}) / 2), 2)
+        )) AS "distanceKm"
+      FROM "Store" AS s
+      WHERE s."latitude" BETWEEN ${lat - latDelta} AND ${lat + latDelta}
+        ${lngFilter}
+    ) AS nearby
+    WHERE nearby."distanceKm" <= ${radiusKm}
+    ORDER BY nearby."distanceKm", nearby."id"
+    LIMIT ${limit}`;
+};
+
+module.exports = {
+  storeLocationFields,
+  registerGeocoder,
+  setGeocoder,
+  resolveCoordinates,
+  boundingBoxCondition,
+  findStoresNear,
+};
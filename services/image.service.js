@@ -0,0 +1,116 @@
+const crypto = require("crypto");
+const sharp = require("sharp");
+const { putFile, removeFiles, fileUrl } = require("./storage.service");
+
+const IMAGE_LIMITS = {
+  maxFileSizeMb: 5,
+  maxFilesPerUpload: 10,
+  maxGalleryImages: 20,
+  thumbnailSize: 320,
+};
+
+// Accepted formats as reported by sharp, with their content types
+const IMAGE_FORMATS = {
+  jpeg: "image/jpeg",
+  png: "image/png",
+  webp: "image/webp",
+};
+
+// Decode an upload and re-encode it without metadata (EXIF, GPS), plus a
+// square WebP thumbnail. Returns null when the bytes are not an accepted
+// image, whatever the client claimed the type was.
+const processImage = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch {
+    return null;
+  }
+
+  if (!IMAGE_FORMATS[metadata.format]) {
+    return null;
+  }
+
+  const { data, info } = await sharp(buffer)
+    .rotate()
+    .toFormat(metadata.format)
+    .toBuffer({ resolveWithObject: true });
+  const thumbnail = await sharp(buffer)
+    .rotate()
+    .resize(IMAGE_LIMITS.thumbnailSize, IMAGE_LIMITS.thumbnailSize, {
+      fit: "cover",
+    })
+    .webp({ quality: 80 })
+    .toBuffer();
+
+  return {
+    data,
+    thumbnail,
+    format: metadata.format,
+    width: info.width,
+    height: info.height,
+  };
+};
+
+// Write a processed image to storage and return the StoreImage fields
+const storeImageFiles = async (storeId, image) => {
+  const name = crypto.randomBytes(12).toString("hex");
+  const extension = image.format === "jpeg" ? "jpg" : image.format;
+  const storageKey = `stores/${storeId}/${name}.${extension}`;
+  const thumbnailKey = `stores/${storeId}/${name}_thumb.webp`;
+  const mimeType = IMAGE_FORMATS[image.format];
+
+  await putFile(storageKey, image.data, mimeType);
+  try {
+    await putFile(thumbnailKey, image.thumbnail, "image/webp");
+  } catch (error) {
+    await removeFiles([storageKey]);
+    throw error;
+  }
+
+  return {
+    storageKey,
+    thumbnailKey,
+    mimeType,
+    size: image.data.length,
+    width: image.width,
+    height: image.height,
+  };
+};
+
+const imageFileKeys = (images) => {
+  return images.flatMap((image) => [image.storageKey, image.thumbnailKey]);
+};
+
+const formatImage = (image) => ({
+  id: image.id,
+  url: fileUrl(image.storageKey),
+  thumbnailUrl: fileUrl(image.thumbnailKey),
+  width: image.width,
+  height: image.height,
+});
+
+// Store images as returned in listings: { logo, images }
+const formatStoreImages = (images) => {
+  const logo = images.find((image) => image.kind === "LOGO");
+  return {
+    logo: logo ? formatImage(logo) : null,
+    images: images
+      .filter((image) => image.kind === "GALLERY")
+      .map(formatImage),
+  };
+};
+
+// Include for loading a store's images in upload order
+const storeImagesInclude = { images: { orderBy: { id: "asc" } } };
+
+module.exports = {
+  IMAGE_LIMITS,
+  IMAGE_FORMATS,
+  processImage,
+  storeImageFiles,
+  imageFileKeys,
+  formatImage,
+  formatStoreImages,
+  storeImagesInclude,
+};
@@ -0,0 +1,72 @@
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+
+// Default transport: writes each message as JSON to a local outbox
+// directory and logs it, so mail works offline and in tests.
+const outboxTransport = {
+  async send(message) {
+    const outboxDir =
+      process.env.MAIL_OUTBOX_DIR || path.join(__dirname, "..", "outbox");
+    await fs.mkdir(outboxDir, { recursive: true });
+
+    const suffix = crypto.randomBytes(4).toString("hex");
+    const filePath = path.join(outboxDir, `${Date.now()}-${suffix}.json`);
+    await fs.writeFile(filePath, JSON.stringify(message, null, 2));
+
+    console.log(`Mail to ${message.to}: "${message.subject}" (${filePath})`);
+  },
+};
+
+const transports = { outbox: outboxTransport };
+let activeTransport = null;
+
+// Register a transport under a name selectable through MAIL_TRANSPORT.
+// A transport is any object with an async send(message) method.
+const registerTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+// Override the transport directly, e.g. with an in-memory one in tests
+const setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+const getTransport = () => {
+  if (activeTransport) {
+    return activeTransport;
+  }
+
+  const name = process.env.MAIL_TRANSPORT || "outbox";
+  if (!transports[name]) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  return transports[name];
+};
+
+const sendMail = async ({ to, subject, text }) => {
+  const message = {
+    from: process.env.MAIL_FROM || "no-reply@ratemystore.local",
+    to,
+    subject,
+    text,
+    sentAt: new Date().toISOString(),
+  };
+
+  await getTransport().send(message);
+};
+
+// Build a link into the frontend app
+const appUrl = (pathname, params = {}) => {
+  const url = new URL(
+    pathname,
+    process.env.FRONTEND_URL || "http://localhost:5000"
+  );
+  Object.entries(params).forEach(([key, value]) => {
+    url.searchParams.set(key, value);
+  });
+  return url.toString();
+};
+
+module.exports = { sendMail, registerTransport, setTransport, appUrl };
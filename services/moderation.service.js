@@ -0,0 +1,78 @@
+const { Prisma } = require("@prisma/client");
+const {
+  countedRating,
+  lockStoreRatings,
+  applyRatingChange,
+} = require("./ratingStats.service");
+
+// Open reports from this many users put a visible rating into review
+const REPORTS_BEFORE_REVIEW = 3;
+
+// Values of the ReportReason enum
+const REPORT_REASONS = [
+  "SPAM",
+  "OFFENSIVE",
+  "FAKE",
+  "CONFLICT_OF_INTEREST",
+  "OTHER",
+];
+
+// True for the error Prisma throws when an insert hits a unique index,
+// e.g. a second report of the same rating by one user
+const isUniqueViolation = (error) => {
+  return (
+    error instanceof Prisma.PrismaClientKnownRequestError &&
+    error.code === "P2002"
+  );
+};
+
+// Change a rating's moderation status inside a transaction and move it in
+// or out of its store's aggregates. Extra fields are written alongside.
+const changeRatingStatus = async (tx, ratingId, storeId, status, data = {}) => {
+  await lockStoreRatings(tx, storeId);
+
+  const current = await tx.rating.findUnique({
+    where: { id: ratingId },
+    select: { rating: true, status: true },
+  });
+
+  const updated = await tx.rating.update({
+    where: { id: ratingId },
+    data: { ...data, status },
+  });
+
+  await applyRatingChange(
+    tx,
+    storeId,
+    countedRating(current),
+    countedRating(updated)
+  );
+
+  return updated;
+};
+
+// Record an admin's decision on a rating: close its open reports and fraud
+// flags and set its status
+const reviewRating = async (tx, ratingId, storeId, status) => {
+  const now = new Date();
+  await tx.ratingReport.updateMany({
+    where: { ratingId, resolvedAt: null },
+    data: { resolvedAt: now },
+  });
+  await tx.ratingFlag.updateMany({
+    where: { ratingId, resolvedAt: null },
+    data: { resolvedAt: now },
+  });
+
+  return changeRatingStatus(tx, ratingId, storeId, status, {
+    moderatedAt: now,
+  });
+};
+
+module.exports = {
+  REPORTS_BEFORE_REVIEW,
+  REPORT_REASONS,
+  isUniqueViolation,
+  changeRatingStatus,
+  reviewRating,
+};
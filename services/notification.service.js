@@ -0,0 +1,17 @@
+const { Prisma } = require("@prisma/client");
+const prisma = require("../config/prismaClient");
+
+// Create an in-app notification. Pass a transaction client as db to make
+// it part of the write that caused it.
+const notify = (
+  userId,
+  type,
+  { title, body, data = Prisma.DbNull },
+  db = prisma
+) => {
+  return db.notification.create({
+    data: { userId, type, title, body, data },
+  });
+};
+
+module.exports = { notify };
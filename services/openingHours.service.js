@@ -0,0 +1,187 @@
+const Joi = require("joi");
+const { Prisma } = require("@prisma/client");
+const prisma = require("../config/prismaClient");
+
+// Index matches Postgres EXTRACT(DOW): 0 is Sunday
+const DAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+const timeToMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+const minutesToTime = (total) => {
+  const hours = String(Math.floor(total / 60)).padStart(2, "0");
+  const minutes = String(total % 60).padStart(2, "0");
+  return `${hours}:${minutes}`;
+};
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// "HH:MM" to "HH:MM" within one day; "24:00" closes at midnight. A store
+// open past midnight lists the rest of the night on the next day.
+const intervalSchema = Joi.object({
+  opens: Joi.string()
+    .pattern(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .required(),
+  closes: Joi.string()
+    .pattern(/^(([01]\d|2[0-3]):[0-5]\d|24:00)$/)
+    .required(),
+});
+
+// Intervals of one day, which must not overlap. Validates to rows of
+// { opensAt, closesAt } in minutes, sorted by opening time.
+const intervalsSchema = Joi.array()
+  .items(intervalSchema)
+  .max(4)
+  .custom((intervals, helpers) => {
+    const sorted = intervals
+      .map(({ opens, closes }) => ({
+        opensAt: timeToMinutes(opens),
+        closesAt: timeToMinutes(closes),
+      }))
+      .sort((a, b) => a.opensAt - b.opensAt);
+
+    for (let i = 0; i < sorted.length; i++) {
+      if (sorted[i].closesAt <= sorted[i].opensAt) {
+        return helpers.message('"closes" must be later than "opens"');
+      }
+      if (i > 0 && sorted[i].opensAt < sorted[i - 1].closesAt) {
+        return helpers.message("Opening intervals must not overlap");
+      }
+    }
+
+    return sorted;
+  });
+
+const timeZoneSchema = Joi.string()
+  .max(64)
+  .custom((value, helpers) => {
+    return isValidTimeZone(value)
+      ? value
+      : helpers.message('"timezone" must be a valid IANA time zone');
+  });
+
+// { monday: [...], ... }; a day left out is closed
+const weeklyHoursSchema = Joi.object(
+  Object.fromEntries(DAYS.map((day) => [day, intervalsSchema]))
+);
+
+// Local calendar date "YYYY-MM-DD" in a time zone
+const localDate = (timeZone, at = new Date()) => {
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(at);
+};
+
+// Local date, weekday and minute of the day of a Store aliased s, in its
+// own time zone
+const localNow = Prisma.sql`(now() AT TIME ZONE s."timezone")`;
+const localDay = Prisma.sql`${localNow}::date`;
+const localDow = Prisma.sql`EXTRACT(DOW FROM ${localNow})::int`;
+const localMinute = Prisma.sql`(EXTRACT(HOUR FROM ${localNow}) * 60 +
+  EXTRACT(MINUTE FROM ${localNow}))::int`;
+
+const openAtLocalMinute = (alias) => Prisma.sql`
+  AND ${Prisma.raw(alias)}."opensAt" <= ${localMinute}
+  AND ${Prisma.raw(alias)}."closesAt" > ${localMinute}`;
+
+const overrideToday = (condition = Prisma.empty) => Prisma.sql`EXISTS (
+  SELECT 1 FROM "StoreHoursOverride" AS o
+  WHERE o."storeId" = s."id" AND o."date" = ${localDay} ${condition})`;
+
+// SQL condition that the Store aliased s is open right now: an override
+// for its local date decides, otherwise the weekly hours. A store with no
+// hours at all is not open.
+const openNowCondition = Prisma.sql`(CASE
+  WHEN ${overrideToday()} THEN ${overrideToday(openAtLocalMinute("o"))}
+  ELSE EXISTS (
+    SELECT 1 FROM "StoreOpeningHours" AS h
+    WHERE h."storeId" = s."id" AND h."dayOfWeek" = ${localDow}
+      ${openAtLocalMinute("h")}
+  )
+END)`;
+
+// Open status per store right now: true, false, or null for a store with
+// no weekly hours and no override today
+const getOpenStatus = async (storeIds) => {
+  if (storeIds.length === 0) {
+    return new Map();
+  }
+
+  const rows = await prisma.$queryRaw`
+    SELECT s."id",
+      CASE
+        WHEN ${overrideToday()} OR EXISTS (
+          SELECT 1 FROM "StoreOpeningHours" AS h WHERE h."storeId" = s."id"
+        ) THEN ${openNowCondition}
+        ELSE NULL
+      END AS "isOpen"
+    FROM "Store" AS s
+    WHERE s."id" IN (${Prisma.join(storeIds)})`;
+
+  return new Map(rows.map((row) => [row.id, row.isOpen]));
+};
+
+const formatInterval = (row) => ({
+  opens: minutesToTime(row.opensAt),
+  closes: minutesToTime(row.closesAt),
+});
+
+// Weekly rows as { sunday: [...], ..., saturday: [...] }
+const formatWeeklyHours = (rows) => {
+  const weekly = Object.fromEntries(DAYS.map((day) => [day, []]));
+  [...rows]
+    .sort((a, b) => a.opensAt - b.opensAt)
+    .forEach((row) => weekly[DAYS[row.dayOfWeek]].push(formatInterval(row)));
+  return weekly;
+};
+
+// Override rows grouped per date
+const formatOverrides = (rows) => {
+  const byDate = new Map();
+  [...rows]
+    .sort((a, b) => a.date - b.date || (a.opensAt ?? 0) - (b.opensAt ?? 0))
+    .forEach((row) => {
+      const date = row.date.toISOString().slice(0, 10);
+      if (!byDate.has(date)) {
+        byDate.set(date, { date, closed: true, note: row.note, intervals: [] });
+      }
+      if (row.opensAt !== null) {
+        const override = byDate.get(date);
+        override.closed = false;
+        override.intervals.push(formatInterval(row));
+      }
+    });
+  return [...byDate.values()];
+};
+
+module.exports = {
+  DAYS,
+  intervalsSchema,
+  timeZoneSchema,
+  weeklyHoursSchema,
+  localDate,
+  openNowCondition,
+  getOpenStatus,
+  formatWeeklyHours,
+  formatOverrides,
+};
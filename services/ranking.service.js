@@ -0,0 +1,99 @@
+const { Prisma } = require("@prisma/client");
+const prisma = require("../config/prismaClient");
+
+// How many "virtual" ratings at the global mean every store starts with.
+// Higher values make a store need more ratings to move away from the mean.
+const priorWeight = () => {
+  const weight = parseFloat(process.env.RANKING_PRIOR_WEIGHT);
+  return Number.isFinite(weight) && weight >= 0 ? weight : 10;
+};
+
+// Mean of every rating across all stores, 0 when there are none
+const getGlobalMean = async () => {
+  const totals = await prisma.store.aggregate({
+    _sum: { ratingSum: true, ratingCount: true },
+  });
+  const count = totals._sum.ratingCount || 0;
+  return count > 0 ? totals._sum.ratingSum / count : 0;
+};
+
+// Bayesian average: the store's ratings blended with priorWeight ratings
+// at the global mean
+const bayesianScore = (ratingSum, ratingCount, globalMean) => {
+  const weight = priorWeight();
+  if (ratingCount + weight === 0) {
+    return 0;
+  }
+  return (weight * globalMean + ratingSum) / (weight + ratingCount);
+};
+
+// Ids of one page of the stores matching a SQL condition on "Store" AS s,
+// ordered by score like bayesianScore. Scores depend on the global mean,
+// so they are computed per request from the aggregate columns rather than
+// stored.
+const rankStoreIds = async (filter, sortOrder, { skip, limit }) => {
+  const weight = priorWeight();
+  const globalMean = await getGlobalMean();
+  const direction = Prisma.raw(sortOrder === "asc" ? "ASC" : "DESC");
+
+  const rows = await prisma.$queryRaw`
+    SELECT s."id" FROM "Store" AS s
+    WHERE ${filter}
+    ORDER BY COALESCE(
+        (${weight}::double precision * ${globalMean}::double precision +
+          s."ratingSum") /
+          NULLIF(${weight}::double precision + s."ratingCount", 0),
+        0
+      ) ${direction},
+      s."ratingCount" DESC, s."id"
+    LIMIT ${limit} OFFSET ${skip}`;
+
+  return rows.map((row) => row.id);
+};
+
+// Highest scoring stores over all visible ratings, or only those created
+// since `from`. The global mean is taken over the same ratings.
+const getTopStores = async ({ from = null, limit, minRatings, categoryId }) => {
+  const weight = priorWeight();
+  const periodFilter = from
+    ? Prisma.sql`AND r."createdAt" >= (${from}::timestamptz AT TIME ZONE 'UTC')`
+    : Prisma.empty;
+  const categoryFilter = categoryId
+    ? Prisma.sql`AND s."categoryId" = ${categoryId}`
+    : Prisma.empty;
+
+  return prisma.$queryRaw`
+    WITH period AS (
+      SELECT r."storeId", r."rating" FROM "Rating" AS r
+      WHERE r."status" = 'VISIBLE' ${periodFilter}
+    ),
+    global AS (
+      SELECT COALESCE(AVG(period."rating"), 0)::double precision AS "mean"
+      FROM period
+    ),
+    per_store AS (
+      SELECT period."storeId", COUNT(*)::int AS "count",
+        SUM(period."rating")::int AS "sum"
+      FROM period
+      GROUP BY period."storeId"
+    )
+    SELECT s."id", s."name", s."address",
+      ps."count" AS "ratingCount",
+      ps."sum"::double precision / ps."count" AS "averageRating",
+      (${weight} * global."mean" + ps."sum") / (${weight} + ps."count")
+        AS "score"
+    FROM per_store AS ps
+    JOIN "Store" AS s ON s."id" = ps."storeId"
+    CROSS JOIN global
+    WHERE ps."count" >= ${minRatings} ${categoryFilter}
+    ORDER BY "score" DESC, ps."count" DESC, s."id"
+    LIMIT ${limit}`;
+};
+
+module.exports = {
+  priorWeight,
+  getGlobalMean,
+  bayesianScore,
+  rankStoreIds,
+  getTopStores,
+};
@@ -0,0 +1,108 @@
+const Joi = require("joi");
+const prisma = require("../config/prismaClient");
+
+// Per-criterion scores keyed by criterion slug, on the same 1-5 scale as
+// the overall rating. On update, null removes a criterion's score.
+const criterionScoresSchema = Joi.object().pattern(
+  Joi.string().max(50),
+  Joi.number().integer().min(1).max(5).allow(null)
+);
+
+// Criterion scores as included with a rating
+const criterionScoresInclude = {
+  criterionScores: {
+    select: {
+      score: true,
+      criterion: { select: { id: true, name: true, slug: true } },
+    },
+  },
+};
+
+// Map validated { slug: score } to criterion ids. Returns { error } when a
+// slug is unknown or its criterion is no longer active.
+const resolveCriterionScores = async (scores) => {
+  const slugs = Object.keys(scores);
+  if (slugs.length === 0) {
+    return { scores: [] };
+  }
+
+  const criteria = await prisma.ratingCriterion.findMany({
+    where: { slug: { in: slugs }, active: true },
+    select: { id: true, slug: true },
+  });
+  const idsBySlug = new Map(criteria.map((c) => [c.slug, c.id]));
+
+  const unknown = slugs.find((slug) => !idsBySlug.has(slug));
+  if (unknown) {
+    return { error: `Unknown rating criterion: ${unknown}` };
+  }
+
+  return {
+    scores: slugs.map((slug) => ({
+      criterionId: idsBySlug.get(slug),
+      score: scores[slug],
+    })),
+  };
+};
+
+// Write resolved scores for a rating inside its transaction
+const writeCriterionScores = async (tx, ratingId, scores) => {
+  for (const { criterionId, score } of scores) {
+    if (score === null) {
+      await tx.ratingCriterionScore.deleteMany({
+        where: { ratingId, criterionId },
+      });
+    } else {
+      await tx.ratingCriterionScore.upsert({
+        where: { ratingId_criterionId: { ratingId, criterionId } },
+        update: { score },
+        create: { ratingId, criterionId, score },
+      });
+    }
+  }
+};
+
+// Average score per active criterion over a store's visible ratings,
+// optionally only those created in [from, to)
+const getCriteriaAverages = async (storeId, from = null, to = null) => {
+  const criteria = await prisma.ratingCriterion.findMany({
+    where: { active: true },
+    orderBy: [{ position: "asc" }, { name: "asc" }],
+  });
+
+  const stats = await prisma.ratingCriterionScore.groupBy({
+    by: ["criterionId"],
+    where: {
+      criterionId: { in: criteria.map((criterion) => criterion.id) },
+      rating: {
+        storeId,
+        status: "VISIBLE",
+        ...(from && to ? { createdAt: { gte: from, lt: to } } : {}),
+      },
+    },
+    _avg: { score: true },
+    _count: { _all: true },
+  });
+  const statsByCriterion = new Map(
+    stats.map((row) => [row.criterionId, row])
+  );
+
+  return criteria.map((criterion) => {
+    const row = statsByCriterion.get(criterion.id);
+    return {
+      id: criterion.id,
+      name: criterion.name,
+      slug: criterion.slug,
+      average: row ? row._avg.score : null,
+      count: row ? row._count._all : 0,
+    };
+  });
+};
+
+module.exports = {
+  criterionScoresSchema,
+  criterionScoresInclude,
+  resolveCriterionScores,
+  writeCriterionScores,
+  getCriteriaAverages,
+};
@@ -0,0 +1,91 @@
+// Rating fields whose edits are kept in the history, besides criterion
+// scores
+const HISTORY_FIELDS = ["rating", "title", "comment"];
+
+// The editable content of a rating, with criterion scores keyed by slug.
+// Null when no rating matches.
+const ratingSnapshot = async (tx, where) => {
+  const rating = await tx.rating.findUnique({
+    where,
+    select: {
+      rating: true,
+      title: true,
+      comment: true,
+      criterionScores: {
+        select: { score: true, criterion: { select: { slug: true } } },
+      },
+    },
+  });
+  if (!rating) {
+    return null;
+  }
+
+  const { criterionScores, ...fields } = rating;
+  return {
+    ...fields,
+    criteria: Object.fromEntries(
+      criterionScores.map((score) => [score.criterion.slug, score.score])
+    ),
+  };
+};
+
+// Old and new values of whatever differs between two snapshots, or null
+// when they are the same. A criterion score that was added or removed
+// shows as null on the other side.
+const diffSnapshots = (before, after) => {
+  const previous = {};
+  const current = {};
+
+  for (const field of HISTORY_FIELDS) {
+    if (before[field] !== after[field]) {
+      previous[field] = before[field];
+      current[field] = after[field];
+    }
+  }
+
+  const slugs = new Set([
+    ...Object.keys(before.criteria),
+    ...Object.keys(after.criteria),
+  ]);
+  for (const slug of slugs) {
+    const oldScore = before.criteria[slug] ?? null;
+    const newScore = after.criteria[slug] ?? null;
+    if (oldScore !== newScore) {
+      previous.criteria = { ...previous.criteria, [slug]: oldScore };
+      current.criteria = { ...current.criteria, [slug]: newScore };
+    }
+  }
+
+  return Object.keys(current).length > 0 ? { previous, current } : null;
+};
+
+// Compare a rating with its snapshot from before an edit and, if anything
+// changed, append a revision and move the rating's updatedAt to it. Call
+// inside the edit's transaction after all of its writes. Revisions are
+// never updated or deleted on their own.
+const recordRatingRevision = async (tx, ratingId, before, actorId) => {
+  const after = await ratingSnapshot(tx, { id: ratingId });
+  const changes = diffSnapshots(before, after);
+  if (!changes) {
+    return null;
+  }
+
+  const revision = await tx.ratingRevision.create({
+    data: { ratingId, actorId, ...changes },
+  });
+  await tx.rating.update({
+    where: { id: ratingId },
+    data: { updatedAt: revision.createdAt },
+  });
+
+  return revision;
+};
+
+// updatedAt only moves when the content is edited, so a later value means
+// the rating has revisions
+const withEditedMarker = (rating) => ({
+  ...rating,
+  edited: rating.updatedAt > rating.createdAt,
+});
+
+module.exports = { ratingSnapshot, recordRatingRevision, withEditedMarker };
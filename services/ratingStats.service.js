@@ -0,0 +1,159 @@
+const { Prisma } = require("@prisma/client");
+const prisma = require("../config/prismaClient");
+
+// Store columns holding the 1-5 star histogram
+const HISTOGRAM_FIELDS = {
+  1: "rating1Count",
+  2: "rating2Count",
+  3: "rating3Count",
+  4: "rating4Count",
+  5: "rating5Count",
+};
+
+// The value a rating contributes to its store's aggregates: its stars when
+// it is VISIBLE, otherwise null as if it did not exist
+const countedRating = (rating) => {
+  return rating && rating.status === "VISIBLE" ? rating.rating : null;
+};
+
+// Take the store row lock before reading a rating that is about to change,
+// so concurrent writes to the same store apply their deltas one at a time
+const lockStoreRatings = async (tx, storeId) => {
+  await tx.$queryRaw`
+    SELECT "id" FROM "Store" WHERE "id" = ${storeId} FOR UPDATE`;
+};
+
+// Apply one rating change to the store aggregates. Pass null as oldRating
+// for a new rating and null as newRating for a removed one (see
+// countedRating for moderated ratings). Must run in the same transaction as
+// the rating write.
+const applyRatingChange = async (tx, storeId, oldRating, newRating) => {
+  const data = {
+    ratingCount: { increment: (newRating ? 1 : 0) - (oldRating ? 1 : 0) },
+    ratingSum: { increment: (newRating || 0) - (oldRating || 0) },
+  };
+
+  if (oldRating !== newRating) {
+    if (oldRating) {
+      data[HISTOGRAM_FIELDS[oldRating]] = { decrement: 1 };
+    }
+    if (newRating) {
+      data[HISTOGRAM_FIELDS[newRating]] = { increment: 1 };
+    }
+  }
+
+  await tx.store.update({ where: { id: storeId }, data });
+  await tx.$executeRaw`
+    UPDATE "Store"
+    SET "averageRating" = CASE
+      WHEN "ratingCount" > 0 THEN "ratingSum"::double precision / "ratingCount"
+      ELSE 0
+    END
+    WHERE "id" = ${storeId}`;
+};
+
+// Rebuild the aggregates from the visible ratings, for one store or all of
+// them. Returns how many stores had drifted and were corrected.
+const recomputeStoreRatingStats = async (storeId = null, db = prisma) => {
+  const storeFilter =
+    storeId === null ? Prisma.empty : Prisma.sql`WHERE st."id" = ${storeId}`;
+
+  return db.$executeRaw`
+    UPDATE "Store" AS s
+    SET "ratingCount" = agg."count",
+        "ratingSum" = agg."sum",
+        "averageRating" = agg."average",
+        "rating1Count" = agg."c1",
+        "rating2Count" = agg."c2",
+        "rating3Count" = agg."c3",
+        "rating4Count" = agg."c4",
+        "rating5Count" = agg."c5"
+    FROM (
+      SELECT st."id" AS "storeId",
+        COUNT(r."id")::int AS "count",
+        COALESCE(SUM(r."rating"), 0)::int AS "sum",
+        COALESCE(
+          SUM(r."rating")::double precision / NULLIF(COUNT(r."id"), 0),
+          0
+        ) AS "average",
+        COUNT(*) FILTER (WHERE r."rating" = 1)::int AS "c1",
+        COUNT(*) FILTER (WHERE r."rating" = 2)::int AS "c2",
+        COUNT(*) FILTER (WHERE r."rating" = 3)::int AS "c3",
+        COUNT(*) FILTER (WHERE r."rating" = 4)::int AS "c4",
+        COUNT(*) FILTER (WHERE r."rating" = 5)::int AS "c5"
+      FROM "Store" AS st
+      LEFT JOIN "Rating" AS r
+        ON r."storeId" = st."id" AND r."status" = 'VISIBLE'
+      ${storeFilter}
+      GROUP BY st."id"
+    ) AS agg
+    WHERE s."id" = agg."storeId"
+      AND (
+        s."ratingCount", s."ratingSum", s."averageRating",
+        s."rating1Count", s."rating2Count", s."rating3Count",
+        s."rating4Count", s."rating5Count"
+      ) IS DISTINCT FROM (
+        agg."count", agg."sum", agg."average",
+        agg."c1", agg."c2", agg."c3", agg."c4", agg."c5"
+      )`;
+};
+
+// Average and volume per day/week/month bucket in [from, to). Buckets with
+// no ratings are included with a count of 0 and a null average.
+const getRatingSeries = async (storeId, from, to, interval) => {
+  // createdAt holds UTC wall time; convert the bounds the same way rather
+  // than into the session time zone
+  const fromUtc = Prisma.sql`(${from}::timestamptz AT TIME ZONE 'UTC')`;
+  const toUtc = Prisma.sql`(${to}::timestamptz AT TIME ZONE 'UTC')`;
+
+  const rows = await prisma.$queryRaw`
+    SELECT buckets."period",
+      COUNT(r."id")::int AS "count",
+      AVG(r."rating")::double precision AS "average"
+    FROM generate_series(
+      date_trunc(${interval}, ${fromUtc}),
+      ${toUtc} - interval '1 millisecond',
+      ${`1 ${interval}`}::interval
+    ) AS buckets("period")
+    LEFT JOIN "Rating" AS r
+      ON r."storeId" = ${storeId}
+      AND r."status" = 'VISIBLE'
+      AND r."createdAt" >= ${fromUtc}
+      AND r."createdAt" < ${toUtc}
+      AND date_trunc(${interval}, r."createdAt") = buckets."period"
+    GROUP BY buckets."period"
+    ORDER BY buckets."period"`;
+
+  return rows;
+};
+
+// Average and volume of a store's ratings created in [from, to)
+const getPeriodStats = async (storeId, from, to) => {
+  const stats = await prisma.rating.aggregate({
+    where: { storeId, status: "VISIBLE", createdAt: { gte: from, lt: to } },
+    _avg: { rating: true },
+    _count: { _all: true },
+  });
+
+  return { average: stats._avg.rating, count: stats._count._all };
+};
+
+// Star histogram of a store row as { 1: n, ..., 5: n }
+const ratingDistribution = (store) => {
+  return Object.fromEntries(
+    Object.entries(HISTOGRAM_FIELDS).map(([stars, field]) => [
+      stars,
+      store[field],
+    ])
+  );
+};
+
+module.exports = {
+  countedRating,
+  lockStoreRatings,
+  applyRatingChange,
+  recomputeStoreRatingStats,
+  getRatingSeries,
+  getPeriodStats,
+  ratingDistribution,
+};
@@ -0,0 +1,27 @@
+// Lock the rating row for the rest of the vote transaction and return its
+// status, or null once the rating has been deleted
+const lockRatingVotes = async (tx, ratingId) => {
+  const [rating] = await tx.$queryRaw`
+    SELECT "id", "status"::text AS "status" FROM "Rating"
+    WHERE "id" = ${ratingId} FOR UPDATE`;
+  return rating || null;
+};
+
+// Move a rating's vote counts from one vote to another. Votes are the
+// `helpful` value or null for no vote. Returns the new counts.
+const applyVoteChange = (tx, ratingId, oldVote, newVote) => {
+  return tx.rating.update({
+    where: { id: ratingId },
+    data: {
+      helpfulCount: {
+        increment: Number(newVote === true) - Number(oldVote === true),
+      },
+      notHelpfulCount: {
+        increment: Number(newVote === false) - Number(oldVote === false),
+      },
+    },
+    select: { helpfulCount: true, notHelpfulCount: true },
+  });
+};
+
+module.exports = { lockRatingVotes, applyVoteChange };
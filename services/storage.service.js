@@ -0,0 +1,77 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+const uploadDir = () => {
+  return process.env.UPLOAD_DIR || path.join(__dirname, "..", "uploads");
+};
+
+// Default driver: files under UPLOAD_DIR, served by the app at /uploads
+const localDriver = {
+  async put(key, buffer) {
+    const filePath = path.join(uploadDir(), key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+  },
+
+  async remove(key) {
+    await fs.rm(path.join(uploadDir(), key), { force: true });
+  },
+
+  url(key) {
+    const base = process.env.UPLOAD_BASE_URL || "/uploads";
+    return `${base.replace(/\/+$/, "")}/${key}`;
+  },
+};
+
+const drivers = { local: localDriver };
+let activeDriver = null;
+
+// Register a driver under a name selectable through STORAGE_DRIVER. A driver
+// has async put(key, buffer, contentType), async remove(key) and url(key).
+const registerDriver = (name, driver) => {
+  drivers[name] = driver;
+};
+
+// Override the driver directly, e.g. with an in-memory one in tests
+const setDriver = (driver) => {
+  activeDriver = driver;
+};
+
+const getDriver = () => {
+  if (activeDriver) {
+    return activeDriver;
+  }
+
+  const name = process.env.STORAGE_DRIVER || "local";
+  if (!drivers[name]) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+
+  return drivers[name];
+};
+
+const putFile = (key, buffer, contentType) => {
+  return getDriver().put(key, buffer, contentType);
+};
+
+// Best effort: a file that cannot be removed is logged and left behind
+const removeFiles = async (keys) => {
+  for (const key of keys) {
+    try {
+      await getDriver().remove(key);
+    } catch (error) {
+      console.error(`Remove file ${key} error:`, error);
+    }
+  }
+};
+
+const fileUrl = (key) => getDriver().url(key);
+
+module.exports = {
+  registerDriver,
+  setDriver,
+  putFile,
+  removeFiles,
+  fileUrl,
+  uploadDir,
+};
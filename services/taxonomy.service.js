@@ -0,0 +1,62 @@
+const Joi = require("joi");
+const prisma = require("../config/prismaClient");
+
+// Store fields shared by the owner and admin store schemas. Tags are free
+// text, stored lowercase; null clears the category.
+const storeTaxonomyFields = {
+  categoryId: Joi.number().integer().allow(null).optional(),
+  tags: Joi.array()
+    .items(Joi.string().trim().lowercase().min(1).max(30))
+    .max(10)
+    .unique()
+    .optional(),
+};
+
+// Category and tags as returned alongside a store
+const storeTaxonomyInclude = {
+  category: { select: { id: true, name: true, slug: true } },
+  tags: { select: { name: true }, orderBy: { name: "asc" } },
+};
+
+const slugify = (name) => {
+  return name
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+};
+
+const categoryExists = async (categoryId) => {
+  const category = await prisma.category.findUnique({
+    where: { id: categoryId },
+    select: { id: true },
+  });
+  return Boolean(category);
+};
+
+// Turn validated { tags } into a Prisma nested write. Missing tags are
+// created first; on update the store's tags are replaced as a whole.
+const tagsWrite = async (tags, { replace = false } = {}) => {
+  await prisma.tag.createMany({
+    data: tags.map((name) => ({ name })),
+    skipDuplicates: true,
+  });
+
+  const names = tags.map((name) => ({ name }));
+  return replace ? { set: names } : { connect: names };
+};
+
+// Flatten a store loaded with storeTaxonomyInclude for responses
+const formatTaxonomy = (store) => ({
+  category: store.category,
+  tags: store.tags.map((tag) => tag.name),
+});
+
+module.exports = {
+  storeTaxonomyFields,
+  storeTaxonomyInclude,
+  slugify,
+  categoryExists,
+  tagsWrite,
+  formatTaxonomy,
+};
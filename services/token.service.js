@@ -0,0 +1,191 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const prisma = require("../config/prismaClient");
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_TTL_DAYS =
+  parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+const CHALLENGE_TOKEN_EXPIRES_IN = "5m";
+
+// Refresh tokens are only ever stored as a SHA-256 hash
+const hashToken = (token) => {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+const refreshTokenExpiry = () => {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+};
+
+const signAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    { id: user.id, role: user.role, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+};
+
+// Short-lived token for an intermediate login step, e.g. "2fa_login".
+// verifyToken rejects any token carrying a purpose.
+const signChallengeToken = (user, purpose) => {
+  return jwt.sign({ id: user.id, purpose }, process.env.JWT_SECRET, {
+    expiresIn: CHALLENGE_TOKEN_EXPIRES_IN,
+  });
+};
+
+// Returns the decoded challenge, or null if invalid or for another purpose
+const verifyChallengeToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const createRefreshToken = async (sessionId, db = prisma) => {
+  const refreshToken = crypto.randomBytes(48).toString("hex");
+
+  await db.refreshToken.create({
+    data: {
+      tokenHash: hashToken(refreshToken),
+      sessionId,
+      expiresAt: refreshTokenExpiry(),
+    },
+  });
+
+  return refreshToken;
+};
+
+// Device details recorded on a session
+const getClientInfo = (req) => {
+  return {
+    userAgent: req.get("user-agent")?.slice(0, 255) || null,
+    ipAddress: req.ip || null,
+  };
+};
+
+// Start a new session (token family) for the user
+const issueAuthTokens = async (user, clientInfo = {}) => {
+  const session = await prisma.session.create({
+    data: {
+      userId: user.id,
+      userAgent: clientInfo.userAgent,
+      ipAddress: clientInfo.ipAddress,
+    },
+  });
+
+  const refreshToken = await createRefreshToken(session.id);
+
+  return {
+    token: signAccessToken(user, session.id),
+    refreshToken,
+  };
+};
+
+const revokeSession = async (sessionId) => {
+  const now = new Date();
+
+  await prisma.$transaction([
+    prisma.session.updateMany({
+      where: { id: sessionId, revokedAt: null },
+      data: { revokedAt: now },
+    }),
+    prisma.refreshToken.updateMany({
+      where: { sessionId, revokedAt: null },
+      data: { revokedAt: now },
+    }),
+  ]);
+};
+
+// Revoke every session of a user, optionally keeping the current one
+const revokeUserSessions = async (userId, exceptSessionId) => {
+  const now = new Date();
+  const sessionWhere = {
+    userId,
+    revokedAt: null,
+    ...(exceptSessionId ? { id: { not: exceptSessionId } } : {}),
+  };
+
+  await prisma.$transaction([
+    prisma.refreshToken.updateMany({
+      where: { revokedAt: null, session: sessionWhere },
+      data: { revokedAt: now },
+    }),
+    prisma.session.updateMany({
+      where: sessionWhere,
+      data: { revokedAt: now },
+    }),
+  ]);
+};
+
+// Exchange a refresh token for a new pair. Returns null when the token is
+// unknown, expired or revoked. Presenting an already rotated token revokes
+// the whole session, since it means the token has leaked.
+const rotateRefreshToken = async (refreshToken) => {
+  const existingToken = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(refreshToken) },
+    include: {
+      session: {
+        include: {
+          user: { select: { id: true, role: true } },
+        },
+      },
+    },
+  });
+
+  if (!existingToken || existingToken.session.revokedAt) {
+    return null;
+  }
+
+  if (existingToken.revokedAt) {
+    await revokeSession(existingToken.sessionId);
+    return null;
+  }
+
+  if (existingToken.expiresAt < new Date()) {
+    return null;
+  }
+
+  const { session } = existingToken;
+
+  const newRefreshToken = await prisma.$transaction(async (tx) => {
+    // Guard against two concurrent refreshes using the same token
+    const { count } = await tx.refreshToken.updateMany({
+      where: { id: existingToken.id, revokedAt: null },
+      data: { revokedAt: new Date() },
+    });
+
+    if (count === 0) {
+      return null;
+    }
+
+    await tx.session.update({
+      where: { id: session.id },
+      data: { lastSeenAt: new Date() },
+    });
+
+    return createRefreshToken(session.id, tx);
+  });
+
+  if (!newRefreshToken) {
+    await revokeSession(session.id);
+    return null;
+  }
+
+  return {
+    token: signAccessToken(session.user, session.id),
+    refreshToken: newRefreshToken,
+  };
+};
+
+module.exports = {
+  hashToken,
+  getClientInfo,
+  signAccessToken,
+  signChallengeToken,
+  verifyChallengeToken,
+  issueAuthTokens,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+};
@@ -0,0 +1,175 @@
+const crypto = require("crypto");
+const prisma = require("../config/prismaClient");
+const { hashToken } = require("./token.service");
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || "RateMyStore";
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Accept codes from one step before or after the current one (clock drift)
+const TOTP_WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+  let bits = "";
+  buffer.forEach((byte) => {
+    bits += byte.toString(2).padStart(8, "0");
+  });
+
+  let output = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    const chunk = bits.slice(i, i + 5).padEnd(5, "0");
+    output += BASE32_ALPHABET[parseInt(chunk, 2)];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  let bits = "";
+  input
+    .replace(/=+$/, "")
+    .toUpperCase()
+    .split("")
+    .forEach((char) => {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error("Invalid base32 character");
+      }
+      bits += index.toString(2).padStart(5, "0");
+    });
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// RFC 4226 HOTP value for a counter
+const generateHotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counterBuffer)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+
+  return code.toString().padStart(TOTP_DIGITS, "0");
+};
+
+const currentTimeStep = () => {
+  return Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+};
+
+// Returns the matching time step, or null. Steps at or before lastStep are
+// rejected so a code cannot be replayed.
+const matchTotp = (secret, code, lastStep) => {
+  const step = currentTimeStep();
+
+  for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift++) {
+    const candidateStep = step + drift;
+    if (lastStep !== null && candidateStep <= lastStep) {
+      continue;
+    }
+
+    const expected = Buffer.from(generateHotp(secret, candidateStep));
+    const given = Buffer.from(code);
+    if (
+      expected.length === given.length &&
+      crypto.timingSafeEqual(expected, given)
+    ) {
+      return candidateStep;
+    }
+  }
+
+  return null;
+};
+
+const buildOtpauthUri = (secret, accountName) => {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Replace the user's recovery codes. The plain codes are returned once and
+// only their hashes are stored.
+const generateRecoveryCodes = async (userId, db = prisma) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await db.twoFactorRecoveryCode.deleteMany({ where: { userId } });
+  await db.twoFactorRecoveryCode.createMany({
+    data: codes.map((code) => ({ userId, codeHash: hashToken(code) })),
+  });
+
+  return codes;
+};
+
+// Check a TOTP code or an unused recovery code for a user with 2FA enabled
+const verifyTwoFactorCode = async (user, code) => {
+  const normalized = code.trim().toLowerCase();
+
+  if (/^\d+$/.test(normalized)) {
+    const step = matchTotp(
+      user.twoFactorSecret,
+      normalized,
+      user.twoFactorLastStep
+    );
+    if (step === null) {
+      return false;
+    }
+
+    // Only one request can claim a given time step
+    const { count } = await prisma.user.updateMany({
+      where: {
+        id: user.id,
+        OR: [
+          { twoFactorLastStep: null },
+          { twoFactorLastStep: { lt: step } },
+        ],
+      },
+      data: { twoFactorLastStep: step },
+    });
+    return count === 1;
+  }
+
+  const { count } = await prisma.twoFactorRecoveryCode.updateMany({
+    where: {
+      userId: user.id,
+      codeHash: hashToken(normalized),
+      usedAt: null,
+    },
+    data: { usedAt: new Date() },
+  });
+  return count === 1;
+};
+
+// Whether the user's role has been set to require 2FA by an admin
+const isTwoFactorRequired = async (role) => {
+  const policy = await prisma.rolePolicy.findUnique({ where: { role } });
+  return Boolean(policy?.requireTwoFactor);
+};
+
+module.exports = {
+  generateSecret,
+  matchTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  verifyTwoFactorCode,
+  isTwoFactorRequired,
+};